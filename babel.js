@@ -0,0 +1,2 @@
+// Babel plugin collecting the overridable ids of each file, see `overridableIdsPlugin`
+module.exports = require('./dist/cjs/extract').overridableIdsPlugin;
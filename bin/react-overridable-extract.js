@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const {main} = require('../dist/cjs/extract');
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,37 +1,59 @@
+import path from 'path';
 import babel from '@rollup/plugin-babel';
 import commonjs from '@rollup/plugin-commonjs';
 import resolve from '@rollup/plugin-node-resolve';
 import peerDepsExternal from 'rollup-plugin-peer-deps-external';
 import pkg from './package.json';
 
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: pkg.browser,
+const babelPlugin = () =>
+  babel({
+    babelHelpers: 'runtime',
+    exclude: 'node_modules/**',
+    plugins: ['@babel/plugin-transform-runtime'],
+  });
+
+export default [
+  {
+    // the testing utilities share the code of the library, so both use the same contexts as
+    // long as they are loaded in the same format: `package.json` and `testing/package.json`
+    // resolve both to ESM for bundlers and to CommonJS otherwise
+    input: {index: 'src/index.js', testing: 'src/testing.js'},
+    output: [
+      {
+        dir: path.dirname(pkg.browser),
+        format: 'cjs',
+        exports: 'named',
+        sourcemap: true,
+        strict: false,
+      },
+      {
+        dir: path.dirname(pkg.module),
+        format: 'esm',
+        exports: 'named',
+        sourcemap: true,
+      },
+    ],
+    plugins: [
+      peerDepsExternal(),
+      resolve({
+        browser: true,
+      }),
+      babelPlugin(),
+      commonjs(),
+    ],
+    external: ['@babel/runtime', 'react-dom/test-utils'],
+  },
+  {
+    // the tool extracting overridable ids from source files, only used in node
+    input: 'src/extract.js',
+    output: {
+      file: 'dist/cjs/extract.js',
       format: 'cjs',
       exports: 'named',
       sourcemap: true,
       strict: false,
     },
-    {
-      file: pkg.module,
-      format: 'esm',
-      exports: 'named',
-      sourcemap: true,
-    },
-  ],
-  plugins: [
-    peerDepsExternal(),
-    resolve({
-      browser: true,
-    }),
-    babel({
-      babelHelpers: 'runtime',
-      exclude: 'node_modules/**',
-      plugins: ['@babel/plugin-transform-runtime'],
-    }),
-    commonjs(),
-  ],
-  external: ['@babel/runtime'],
-};
+    plugins: [peerDepsExternal(), resolve(), babelPlugin(), commonjs()],
+    external: ['fs', 'path', '@babel/runtime'],
+  },
+];
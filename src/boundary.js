@@ -0,0 +1,59 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Error boundary rendering the default component of an overridable (the `fallback`) if its
+ * override throws while rendering, so that a broken override does not break the whole page.
+ */
+export class OverrideErrorBoundary extends React.Component {
+  static getDerivedStateFromProps({override}, state) {
+    if (override !== state.override) {
+      // give a new override a chance to render
+      return {failed: false, override};
+    }
+    return null;
+  }
+
+  static getDerivedStateFromError() {
+    return {failed: true};
+  }
+
+  static propTypes = {
+    /** The id of the overridable */
+    id: PropTypes.string,
+    /** The overriding component */
+    override: PropTypes.elementType.isRequired,
+    /** The element to render instead of the override if it throws */
+    fallback: PropTypes.node,
+    /** Function called with the error and an object with the `id`, `override` and `info` */
+    onError: PropTypes.func,
+    children: PropTypes.node,
+  };
+
+  static defaultProps = {
+    id: null,
+    fallback: null,
+    onError: null,
+    children: null,
+  };
+
+  state = {failed: false, override: null};
+
+  componentDidCatch(error, info) {
+    const {id, override, onError} = this.props;
+    const name = override.displayName || override.name || 'Anonymous';
+    console.error(
+      `react-overridable: the override ${name} of '${id}' failed to render, using the default`,
+      error
+    );
+    if (onError) {
+      onError(error, {id, override, info});
+    }
+  }
+
+  render() {
+    const {fallback, children} = this.props;
+    const {failed} = this.state;
+    return failed ? fallback : children;
+  }
+}
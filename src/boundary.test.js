@@ -0,0 +1,78 @@
+import {mount} from 'enzyme';
+import React from 'react';
+import Overridable, {OverridableContext, OverridableProvider} from '.'; // export from index.js to test it
+
+const Title = () => <h1>Default title</h1>;
+const OverridableTitle = Overridable.component('Title', Title);
+
+const Header = () => (
+  <Overridable id="Header.container">
+    <header>Default header</header>
+  </Overridable>
+);
+
+const BrokenOverride = () => {
+  throw new Error('Broken override');
+};
+
+describe('Tests for catching override errors', () => {
+  beforeEach(() => {
+    // both React and the error boundary log the errors
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('it should render the default cmp if the override throws', () => {
+    const mounted = mount(
+      <OverridableProvider value={{Title: BrokenOverride}} catchErrors>
+        <OverridableTitle />
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h1').text()).toEqual('Default title');
+    expect(console.error).toHaveBeenCalledWith(
+      "react-overridable: the override BrokenOverride of 'Title' failed to render, using the default",
+      expect.any(Error)
+    );
+  });
+
+  test('it should render the default render elements if the override throws', () => {
+    const mounted = mount(
+      <OverridableProvider value={{'Header.container': BrokenOverride}} catchErrors>
+        <Header />
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('header').text()).toEqual('Default header');
+  });
+
+  test('it should report the error to `onOverrideError`', () => {
+    const onOverrideError = jest.fn();
+    mount(
+      <OverridableProvider catchErrors onOverrideError={onOverrideError}>
+        <OverridableProvider value={{Title: BrokenOverride}}>
+          <OverridableTitle />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(onOverrideError).toHaveBeenCalledTimes(1);
+    const [error, {id, override}] = onOverrideError.mock.calls[0];
+    expect(error.message).toEqual('Broken override');
+    expect(id).toEqual('Title');
+    expect(override).toBe(BrokenOverride);
+  });
+
+  test('it should not catch errors by default', () => {
+    expect(() =>
+      mount(
+        <OverridableContext.Provider value={{Title: BrokenOverride}}>
+          <OverridableTitle />
+        </OverridableContext.Provider>
+      )
+    ).toThrow('Broken override');
+  });
+});
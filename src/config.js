@@ -0,0 +1,114 @@
+import {matchesId, PropsOverride, USE_DEFAULT} from './resolve';
+import {OverriddenComponentRepository} from './store';
+
+const entryKeys = ['component', 'props', 'priority'];
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns the entry of a map of overridden components for a valid entry of the configuration.
+function createEntry({component, props}, components) {
+  const Component = component === 'default' ? USE_DEFAULT : components[component];
+  if (!props) {
+    return Component;
+  }
+  return Component ? new PropsOverride([props], Component) : props;
+}
+
+// Returns the problems of an entry of the configuration.
+function checkEntry(id, entry, components) {
+  const invalid = message => [{type: 'invalid-entry', id, message: `'${id}' ${message}`}];
+  if (!isObject(entry)) {
+    return invalid('must be an object');
+  }
+  const unknownKeys = Object.keys(entry).filter(key => !entryKeys.includes(key));
+  if (unknownKeys.length) {
+    return invalid(`has unknown keys: ${unknownKeys.join(', ')}`);
+  } else if (entry.component === undefined && entry.props === undefined) {
+    return invalid('must have a component or props');
+  } else if (entry.component !== undefined && typeof entry.component !== 'string') {
+    return invalid('must have the name of a component as component');
+  } else if (entry.props !== undefined && !isObject(entry.props)) {
+    return invalid('must have an object as props');
+  } else if (entry.priority !== undefined && typeof entry.priority !== 'number') {
+    return invalid('must have a number as priority');
+  } else if (entry.component === 'default' && entry.props) {
+    return invalid('cannot change the props of the default component');
+  } else if (
+    entry.component !== undefined &&
+    entry.component !== 'default' &&
+    !Object.prototype.hasOwnProperty.call(components, entry.component)
+  ) {
+    return [
+      {
+        type: 'unknown-component',
+        id,
+        message: `'${id}' is overridden by the unknown component '${entry.component}'`,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Loads overrides from a serializable configuration, e.g. written by site admins:
+ * ```
+ * {
+ *   "TitleComponent": {"component": "BoldTitle", "props": {"size": "big"}},
+ *   "TitleComponent.container": {"props": {"className": "highlighted"}},
+ *   "Footer": {"component": "default"}
+ * }
+ * ```
+ * Each entry overrides an id (or a pattern) with a `component` from the given components,
+ * changes its `props` (see `overrideProps`), or both. The `default` component renders the
+ * default component (see `USE_DEFAULT`). Entries can also have a `priority` in the store.
+ *
+ * Invalid entries are skipped and reported along with the unknown components and ids.
+ * @param config the configuration, as an object or a JSON string
+ * @param options object with the `components` which can be used, by name, the `store` to
+ *  fill (defaults to a new one), the `source` of the overrides in the store (defaults to
+ *  `config`) and, to detect unknown ids, the list of existing `ids` (e.g. from the manifest
+ *  of `react-overridable-extract`)
+ * @returns an object with the `store` and the `problems` found, with the `type` of problem
+ *  (`invalid-config`, `invalid-entry`, `unknown-component` or `unknown-id`), the `id` and a
+ *  `message`
+ */
+export function loadOverrides(
+  config,
+  {components = {}, store = new OverriddenComponentRepository(), source = 'config', ids} = {}
+) {
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      return {
+        store,
+        problems: [{type: 'invalid-config', id: null, message: `invalid JSON: ${error.message}`}],
+      };
+    }
+  }
+  if (!isObject(config)) {
+    return {
+      store,
+      problems: [
+        {type: 'invalid-config', id: null, message: 'the configuration must be an object'},
+      ],
+    };
+  }
+
+  const problems = [];
+  store.batch(() => {
+    Object.entries(config).forEach(([id, entry]) => {
+      const entryProblems = checkEntry(id, entry, components);
+      if (entryProblems.length) {
+        problems.push(...entryProblems);
+        return;
+      }
+      if (ids && !ids.some(knownId => matchesId(id, knownId))) {
+        // still load it, the id may just not have been extracted
+        problems.push({type: 'unknown-id', id, message: `'${id}' matches no known id`});
+      }
+      store.add(id, createEntry(entry, components), {source, priority: entry.priority});
+    });
+  });
+  return {store, problems};
+}
@@ -0,0 +1,99 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Overridable, {
+  loadOverrides,
+  OverridableProvider,
+  OverriddenComponentRepository,
+  USE_DEFAULT,
+} from '.'; // export from index.js to test it
+
+const Title = ({title, size}) => <h1 className={size}>{title}</h1>;
+Title.propTypes = {title: PropTypes.string.isRequired, size: PropTypes.string};
+Title.defaultProps = {size: 'small'};
+const BoldTitle = ({title, size}) => <strong className={size}>{title}</strong>;
+BoldTitle.propTypes = Title.propTypes;
+BoldTitle.defaultProps = Title.defaultProps;
+
+const OverridableTitle = Overridable.component('TitleComponent', Title);
+const components = {BoldTitle};
+
+describe('Tests for loading overrides from a configuration', () => {
+  test('it should resolve the components by name', () => {
+    const {store, problems} = loadOverrides(
+      '{"TitleComponent": {"component": "BoldTitle", "props": {"size": "big"}}}',
+      {
+        components,
+      }
+    );
+    expect(problems).toEqual([]);
+
+    const mounted = mount(
+      <OverridableProvider store={store}>
+        <OverridableTitle title="My title" />
+      </OverridableProvider>
+    );
+    expect(mounted.find('strong').prop('className')).toEqual('big');
+    expect(mounted.find('strong').text()).toEqual('My title');
+  });
+
+  test('it should load overrides only changing props or using the default', () => {
+    const {store} = loadOverrides({
+      TitleComponent: {props: {size: 'big'}},
+      Footer: {component: 'default'},
+    });
+    expect(store.get('Footer')).toBe(USE_DEFAULT);
+
+    const mounted = mount(
+      <OverridableProvider store={store}>
+        <OverridableTitle title="My title" />
+      </OverridableProvider>
+    );
+    expect(mounted.find('h1').prop('className')).toEqual('big');
+  });
+
+  test('it should fill an existing store with a source and priorities', () => {
+    const store = new OverriddenComponentRepository();
+    store.add('TitleComponent', Title, {source: 'plugin', priority: 1});
+    loadOverrides(
+      {TitleComponent: {component: 'BoldTitle', priority: 2}},
+      {components, store, source: 'admin'}
+    );
+    expect(store.get('TitleComponent')).toBe(BoldTitle);
+    expect(store.getContributors('TitleComponent').map(c => c.source)).toEqual(['admin', 'plugin']);
+  });
+
+  test('it should report invalid entries and unknown components and ids', () => {
+    const {store, problems} = loadOverrides(
+      {
+        'TitleComponent': {component: 'BoldTitle'},
+        'Title.*': {props: {className: 'x'}},
+        'Header': {component: 'ItalicTitle'},
+        'Footer': 'BoldTitle',
+        'Menu': {component: 'BoldTitle', color: 'red'},
+        'Other': {props: []},
+      },
+      {components, ids: ['TitleComponent', 'Header', 'Footer', 'Menu']}
+    );
+    expect(problems.map(({type, id}) => [type, id])).toEqual([
+      ['unknown-id', 'Title.*'],
+      ['unknown-component', 'Header'],
+      ['invalid-entry', 'Footer'],
+      ['invalid-entry', 'Menu'],
+      ['invalid-entry', 'Other'],
+    ]);
+    expect(problems[1].message).toEqual(
+      "'Header' is overridden by the unknown component 'ItalicTitle'"
+    );
+    expect(Object.keys(store.getAll())).toEqual(['TitleComponent', 'Title.*']);
+  });
+
+  test('it should report invalid configurations', () => {
+    expect(loadOverrides('{"TitleComponent":').problems).toEqual([
+      expect.objectContaining({type: 'invalid-config'}),
+    ]);
+    expect(loadOverrides('[]').problems).toEqual([
+      {type: 'invalid-config', id: null, message: 'the configuration must be an object'},
+    ]);
+  });
+});
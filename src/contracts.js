@@ -0,0 +1,32 @@
+const contracts = new Map();
+
+/**
+ * Records the contract of an overridable id, i.e. what its overrides can rely on: the
+ * `version` of the contract, to increase whenever the overrides have to be changed, the
+ * deprecated `aliases` of the id, which can still be used to override it, and the
+ * `props` passed to its overrides, as prop types.
+ * @param id the id of the overridable
+ * @param contract object with the `version` (defaults to 1), the `aliases` and the `props`
+ * @returns the contract, with its `id`
+ */
+export function declareContract(id, {version = 1, aliases = [], props = null} = {}) {
+  const contract = {id, version, aliases, props};
+  contracts.set(id, contract);
+  return contract;
+}
+
+/**
+ * Returns the contract of an id, or of the id it is a deprecated alias of (whose `id` then
+ * differs from the given one), or `undefined` if no overridable declared any.
+ * @param id the id of the overridable
+ */
+export function getContract(id) {
+  return contracts.get(id) || [...contracts.values()].find(({aliases}) => aliases.includes(id));
+}
+
+/**
+ * Returns the contracts declared so far, sorted by id.
+ */
+export function getContracts() {
+  return [...contracts.keys()].sort().map(id => contracts.get(id));
+}
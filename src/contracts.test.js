@@ -0,0 +1,193 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Overridable, {
+  declareContract,
+  overridableRegistry,
+  overrideStore,
+  OverridableContext,
+  USE_DEFAULT,
+  validateOverrides,
+} from '.'; // export from index.js to test it
+
+const titleContract = {
+  version: 2,
+  aliases: ['Title.header'],
+  props: {title: PropTypes.string.isRequired},
+};
+
+const Title = ({title}) => (
+  <Overridable id="Title.container" title={title} contract={titleContract}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  title: PropTypes.string,
+};
+
+Title.defaultProps = {
+  title: null,
+};
+
+const NewTitle = ({title}) => <h2>{title}</h2>;
+
+NewTitle.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const renderTitle = (overrides, title = 'My title') =>
+  mount(
+    <OverridableContext.Provider value={overrides}>
+      <Title title={title} />
+    </OverridableContext.Provider>
+  );
+
+describe('Tests for the contracts of overridables', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('it should render the override of a deprecated alias and warn once', () => {
+    const OldTitle = ({title}) => <h3>{title}</h3>;
+    OldTitle.propTypes = {title: PropTypes.string.isRequired};
+    renderTitle({'Title.header': OldTitle});
+    const mounted = renderTitle({'Title.header': OldTitle});
+
+    expect(mounted.find('h3').text()).toBe('My title');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: 'Title.header' is deprecated, override 'Title.container' instead"
+    );
+  });
+
+  test('it should give precedence to the override of the id itself', () => {
+    const OldTitle = () => <h3>Old title</h3>;
+    expect(renderTitle({'Title.container': NewTitle, 'Title.header': OldTitle}).html()).toBe(
+      '<h2>My title</h2>'
+    );
+    expect(renderTitle({'Title.container': USE_DEFAULT, 'Title.header': OldTitle}).html()).toBe(
+      '<h1>My title</h1>'
+    );
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('it should warn about overrides written for another version', () => {
+    const OutdatedTitle = ({title}) => <h2>{title}</h2>;
+    OutdatedTitle.propTypes = {title: PropTypes.string.isRequired};
+    OutdatedTitle.contractVersion = 1;
+    const mounted = renderTitle({'Title.container': OutdatedTitle});
+
+    expect(mounted.find('h2').text()).toBe('My title');
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: the override OutdatedTitle of 'Title.container' was written for " +
+        'version 1 of its contract, but the current version is 2'
+    );
+
+    NewTitle.contractVersion = 2;
+    renderTitle({'Title.container': NewTitle});
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    delete NewTitle.contractVersion;
+  });
+
+  test('it should warn about props which do not match the contract', () => {
+    renderTitle({}, null);
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: 'Title.container' passes props which do not match its contract: " +
+        "The prop `title` is marked as required in `contract of 'Title.container'`, " +
+        'but its value is `null`.'
+    );
+  });
+
+  test('it should not check the props again on every render', () => {
+    const checkTitle = jest.fn(() => null);
+    const CheckedTitle = ({title}) => (
+      <Overridable id="CheckedTitle" title={title} contract={{props: {title: checkTitle}}}>
+        <h1>{title}</h1>
+      </Overridable>
+    );
+    CheckedTitle.propTypes = {title: PropTypes.string.isRequired};
+
+    const mounted = mount(<CheckedTitle title="First" />);
+    mounted.setProps({title: 'Second'});
+    mounted.setProps({title: 'Third'});
+    expect(mounted.text()).toBe('Third');
+    expect(checkTitle).toHaveBeenCalledTimes(1);
+    mounted.unmount();
+  });
+
+  test('it should accept a contract in Overridable.component', () => {
+    const Footer = () => <footer>Footer</footer>;
+    const OverridableFooter = Overridable.component('Footer', Footer, {
+      version: 3,
+      aliases: ['PageFooter'],
+    });
+    const NewFooter = () => <footer>New footer</footer>;
+    const mounted = mount(
+      <OverridableContext.Provider value={{PageFooter: NewFooter}}>
+        <OverridableFooter />
+      </OverridableContext.Provider>
+    );
+
+    expect(mounted.text()).toBe('New footer');
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: 'PageFooter' is deprecated, override 'Footer' instead"
+    );
+    expect(overrideStore.getContract('Footer')).toEqual({
+      id: 'Footer',
+      version: 3,
+      aliases: ['PageFooter'],
+      props: null,
+    });
+  });
+});
+
+describe('Tests for the contracts in the store', () => {
+  test('it should return the contracts declared so far', () => {
+    declareContract('Menu', {aliases: ['Navigation']});
+
+    expect(overrideStore.getContract('Menu')).toEqual({
+      id: 'Menu',
+      version: 1,
+      aliases: ['Navigation'],
+      props: null,
+    });
+    expect(overrideStore.getContract('Navigation').id).toBe('Menu');
+    expect(overrideStore.getContract('Unknown')).toBeUndefined();
+    expect(overrideStore.getContracts().map(({id}) => id)).toContain('Menu');
+  });
+});
+
+describe('Tests for the validation of contracts', () => {
+  beforeEach(() => {
+    overridableRegistry.clear();
+  });
+
+  test('it should report deprecated ids and incompatible versions', () => {
+    const OutdatedTitle = () => <h2>Outdated</h2>;
+    OutdatedTitle.contractVersion = 1;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    renderTitle({});
+    console.warn.mockRestore();
+
+    const overrides = {'Title.header': NewTitle, 'Title.container': OutdatedTitle};
+    expect(validateOverrides(overrides)).toEqual([
+      {
+        type: 'deprecated-id',
+        id: 'Title.header',
+        message: "'Title.header' is deprecated, override 'Title.container' instead",
+      },
+      {
+        type: 'incompatible-version',
+        id: 'Title.container',
+        message:
+          "the override OutdatedTitle of 'Title.container' was written for version 1 of its " +
+          'contract, but the current version is 2',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,28 @@
+// Every copy of the library loaded on the page adds itself to this list, so that bundles
+// which each include their own copy can be detected.
+const copiesKey = Symbol.for('react-overridable.copies');
+
+if (!globalThis[copiesKey]) {
+  globalThis[copiesKey] = [];
+}
+globalThis[copiesKey].push({loadedAt: new Date()});
+
+/**
+ * Returns the message explaining why several copies of the library are a problem.
+ * @param copies the number of copies loaded
+ */
+export function formatCopiesMessage(copies) {
+  return (
+    `${copies} copies of react-overridable are loaded, so the overrides registered with one ` +
+    `of them are ignored by the others; make sure your bundles share a single copy`
+  );
+}
+
+/**
+ * Returns how many copies of the library have been loaded on the page (or in the process).
+ * More than one copy means that some overridables do not see the overrides registered with
+ * another copy, since each copy has its own contexts and `overrideStore`.
+ */
+export function countLoadedCopies() {
+  return globalThis[copiesKey].length;
+}
@@ -1,41 +1,320 @@
-import React, {useCallback, useEffect, useRef, useState} from 'react';
+import React, {useCallback, useContext, useEffect, useRef, useState} from 'react';
 import {createPortal} from 'react-dom';
 import PropTypes from 'prop-types';
+import {DiffView, Inspector, inspectorWidth} from './inspector';
+import {tagLayout} from './layout';
+import {overridableRegistry} from './registry';
+
+// dev mode is only available in the browser, but the module must be importable on the server
+const hasDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
 
 const event = 'ReactOverridableDevMode';
+const storageKey = 'reactOverridableDevMode';
 
-export function startDevMode() {
+const devModeState = {
+  enabled: false,
+  filter: {overriddenOnly: false, prefix: ''},
+  diffMode: false,
+  renderCounts: false,
+  persist: null,
+};
+
+let _overlayRoot = null;
+let _removeShortcutListener = null;
+
+// Returns the state saved in localStorage, or null if it is missing, invalid or if storage is
+// not available (e.g. blocked by the browser).
+function loadPersistedState() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey) || 'null');
+    return saved && typeof saved === 'object' ? saved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function savePersistedState(state) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(state));
+  } catch (error) {
+    // storage is not available, so dev mode is just not remembered
+  }
+}
+
+function updateDevMode(changes) {
+  Object.assign(devModeState, changes);
+  if (!hasDOM) {
+    return;
+  }
+  window._ReactOverridableIsDevMode = devModeState.enabled;
+  if (devModeState.persist === 'localStorage') {
+    const {enabled, filter, diffMode, renderCounts} = devModeState;
+    savePersistedState({enabled, filter, diffMode, renderCounts});
+  }
+  if (!devModeState.enabled && _overlayRoot) {
+    _overlayRoot.remove();
+    _overlayRoot = null;
+  }
   window.dispatchEvent(new Event(event));
-  window._ReactOverridableIsDevMode = true;
+}
+
+// Returns a function checking whether a keyboard event matches a shortcut like `Ctrl+Shift+O`.
+function parseShortcut(shortcut) {
+  const keys = shortcut.toLowerCase().split('+');
+  const key = keys.pop();
+  return evt =>
+    // some events have no key, e.g. the ones of autofill
+    typeof evt.key === 'string' &&
+    evt.key.toLowerCase() === key &&
+    evt.ctrlKey === keys.includes('ctrl') &&
+    evt.shiftKey === keys.includes('shift') &&
+    evt.altKey === keys.includes('alt') &&
+    evt.metaKey === keys.includes('meta');
+}
+
+/**
+ * Controls the developer mode of React Overridable, in which all overridable components show
+ * their IDs in a small overlay tag.
+ */
+export const devMode = {
+  enable() {
+    if (hasDOM) {
+      // expose the registry so the rendered ids can be inspected from the browser console
+      window.reactOverridable = {...window.reactOverridable, registry: overridableRegistry};
+    }
+    updateDevMode({enabled: true});
+  },
+
+  disable() {
+    updateDevMode({enabled: false});
+  },
+
+  toggle() {
+    if (devModeState.enabled) {
+      devMode.disable();
+    } else {
+      devMode.enable();
+    }
+  },
+
+  isEnabled() {
+    return devModeState.enabled;
+  },
+
+  /**
+   * Only shows the tags of some overridables.
+   * @param filter object with `overriddenOnly` to only show the tags of overridden ids,
+   *  and a `prefix` the ids must start with
+   */
+  setFilter({overriddenOnly = false, prefix = ''} = {}) {
+    updateDevMode({filter: {overriddenOnly, prefix}});
+  },
+
+  getFilter() {
+    return devModeState.filter;
+  },
+
+  /**
+   * Enables or disables the diff mode, in which the inspector of an overridden id also
+   * renders its override and its default component side by side.
+   * @param enabled whether diff mode should be enabled
+   */
+  setDiffMode(enabled) {
+    updateDevMode({diffMode: enabled});
+  },
+
+  isDiffMode() {
+    return devModeState.diffMode;
+  },
+
+  /**
+   * Shows in the ID tags how many times each overridable has been rendered and, if it is
+   * profiled (see the `onRender` option of `OverridableProvider`), how long it took in total.
+   * @param enabled whether the render counts should be shown
+   */
+  setShowRenderCounts(enabled) {
+    updateDevMode({renderCounts: enabled});
+  },
+
+  isShowingRenderCounts() {
+    return devModeState.renderCounts;
+  },
+
+  /**
+   * Configures how dev mode gets enabled. The state from the previous page load (or the URL)
+   * is restored right away.
+   * @param options object with `persist`, to remember the state of dev mode and its options
+   *  across page loads (`localStorage`), or to enable it when the URL contains
+   *  `?reactOverridableDevMode` (`query`), whose value is then used as prefix filter; and
+   *  `shortcut`, a keyboard shortcut toggling dev mode (e.g. `Ctrl+Shift+O`)
+   */
+  configure({persist = null, shortcut = null} = {}) {
+    devModeState.persist = persist;
+    if (!hasDOM) {
+      return;
+    }
+    if (persist === 'localStorage') {
+      const saved = loadPersistedState();
+      if (saved) {
+        updateDevMode({
+          filter: saved.filter || devModeState.filter,
+          diffMode: !!saved.diffMode,
+          renderCounts: !!saved.renderCounts,
+        });
+        if (saved.enabled) {
+          devMode.enable();
+        }
+      }
+    } else if (persist === 'query') {
+      const prefix = new URLSearchParams(window.location.search).get(storageKey);
+      if (prefix !== null) {
+        devMode.setFilter({prefix});
+        devMode.enable();
+      }
+    }
+
+    if (_removeShortcutListener) {
+      _removeShortcutListener();
+      _removeShortcutListener = null;
+    }
+    if (shortcut) {
+      const matchesShortcut = parseShortcut(shortcut);
+      const onKeyDown = evt => {
+        if (matchesShortcut(evt)) {
+          evt.preventDefault();
+          devMode.toggle();
+        }
+      };
+      window.addEventListener('keydown', onKeyDown);
+      _removeShortcutListener = () => window.removeEventListener('keydown', onKeyDown);
+    }
+  },
+};
+
+export function startDevMode() {
+  devMode.enable();
 }
 
 /**
  * A globally exposed function. When called, this activates the developer mode for
  * React Overridable.
- * All overridable components will show their IDs in a small overlay tag until the next page reload.
+ * All overridable components will show their IDs in a small overlay tag until the next page reload
+ * or until `reactOverridableDisableDevMode` gets called.
  */
-window.reactOverridableEnableDevMode = startDevMode;
+if (hasDOM) {
+  window.reactOverridableEnableDevMode = startDevMode;
+  window.reactOverridableDisableDevMode = devMode.disable;
+}
 
 /**
- * Returns true if dev mode is active, false otherwise.
+ * In development, the override of an id can also be toggled from the browser console with
+ * `reactOverridable.disable(id)` and `reactOverridable.enable(id)`, even without dev mode.
  */
-export function useDevMode() {
-  const [isDevMode, setDevMode] = useState(window._ReactOverridableIsDevMode ?? false);
+if (hasDOM && process.env.NODE_ENV !== 'production') {
+  window.reactOverridable = {
+    ...window.reactOverridable,
+    disable: id => setOverrideDisabled(id, true),
+    enable: id => setOverrideDisabled(id, false),
+  };
+}
+
+// Subscribes a component to the changes of dev mode.
+function useDevModeState(getValue) {
+  const [value, setValue] = useState(getValue);
 
   useEffect(() => {
     const eventHandler = () => {
-      setDevMode(true);
+      setValue(getValue);
     };
+    eventHandler();
     window.addEventListener(event, eventHandler);
     return () => {
       window.removeEventListener(event, eventHandler);
     };
-  }, []);
+  }, [getValue]);
 
-  return isDevMode;
+  return value;
+}
+
+const getEnabled = () => devModeState.enabled;
+const getFilter = () => devModeState.filter;
+const getDiffMode = () => devModeState.diffMode;
+const getRenderCounts = () => devModeState.renderCounts;
+
+/**
+ * Returns true if dev mode is active, false otherwise.
+ */
+export function useDevMode() {
+  return useDevModeState(getEnabled);
+}
+
+/**
+ * Returns the filter of dev mode (see `devMode.setFilter`).
+ */
+export function useDevModeFilter() {
+  return useDevModeState(getFilter);
+}
+
+// whether components are rendered in the side by side comparison of diff mode
+const PreviewContext = React.createContext(false);
+
+/**
+ * Returns true if the component is rendered in the comparison of an override with its
+ * default component (see `devMode.setDiffMode`), where overridables should neither show
+ * tags nor be recorded in the registry.
+ */
+export function useIsPreview() {
+  return useContext(PreviewContext);
+}
+
+const disabledOverrides = new Set();
+const disabledOverridesListeners = new Set();
+
+/**
+ * Temporarily disables (or re-enables) the override of an id, so the default component gets
+ * rendered instead. This is meant to preview the default component while debugging, and
+ * only has an effect in development.
+ * @param id the id of the overridable
+ * @param disabled whether the override should be disabled
+ */
+export function setOverrideDisabled(id, disabled) {
+  if (disabled) {
+    disabledOverrides.add(id);
+  } else {
+    disabledOverrides.delete(id);
+  }
+  disabledOverridesListeners.forEach(listener => listener());
+}
+
+/**
+ * Returns true if the override of an id has been disabled with `setOverrideDisabled`.
+ */
+export function useIsOverrideDisabled(id) {
+  // overrides are never disabled in production, so there is nothing to subscribe to
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+  return useDisabledOverride(id);
+}
+
+// Subscribes a component to the changes of the disabled overrides.
+function useDisabledOverride(id) {
+  const [disabled, setDisabled] = useState(disabledOverrides.has(id));
+
+  useEffect(() => {
+    const listener = () => {
+      setDisabled(disabledOverrides.has(id));
+    };
+    listener();
+    disabledOverridesListeners.add(listener);
+    return () => {
+      disabledOverridesListeners.delete(listener);
+    };
+  }, [id]);
+
+  return disabled;
 }
 
-let _overlayRoot = null;
 /**
  * In order to avoid a full re-render of the component when devmode gets activated
  * (which can cause bugs in older components with complex side-effects) we use a top-level
@@ -43,16 +322,56 @@ let _overlayRoot = null;
  * of the relevant overridable.
  *
  * This function creates this overlay if it has not yet been created and returns a reference to it.
+ * The overlay is removed when dev mode gets disabled.
+ *
+ * The overlay is never returned during the first render, so that the ID tags are only rendered
+ * once the component has been mounted and the result of server-side rendering is hydrated
+ * without any mismatch.
  */
-function useOverlayRoot() {
+function useOverlayRoot(active) {
+  const [overlayRoot, setOverlayRoot] = useState(null);
+
   useEffect(() => {
-    if (!_overlayRoot) {
+    if (active && !_overlayRoot) {
       _overlayRoot = document.createElement('div');
       document.body.appendChild(_overlayRoot);
     }
-  }, []);
+    setOverlayRoot(active ? _overlayRoot : null);
+  }, [active]);
 
-  return _overlayRoot;
+  return overlayRoot;
+}
+
+/**
+ * Returns the anchor and ID tag of an overridable to render just before it in dev mode
+ * (see `DevModeWrapper`), or `null` when dev mode is not active. This is used directly by
+ * components which cannot be wrapped in `DevModeWrapper`.
+ * @param id the id of the overridable
+ * @param info information about the overridable shown in the inspector
+ * @param getPreview function returning the default and override elements compared in diff
+ *  mode, if overridden. It is only called when they are shown.
+ */
+export function useDevModeTag(id, info = null, getPreview = null) {
+  const isPreview = useIsPreview();
+  const isDevMode = useDevMode() && !isPreview;
+  const filter = useDevModeFilter();
+  const overlayRoot = useOverlayRoot(isDevMode);
+  const ref = useRef();
+  const visible =
+    (!filter.overriddenOnly || (info && info.override)) && (!id || id.startsWith(filter.prefix));
+
+  if (!isDevMode || !overlayRoot || !visible) {
+    return null;
+  }
+  return (
+    <>
+      <span ref={ref} />
+      {createPortal(
+        <IDTag id={id} info={info} getPreview={getPreview} targetRef={ref} />,
+        overlayRoot
+      )}
+    </>
+  );
 }
 
 /**
@@ -65,19 +384,12 @@ function useOverlayRoot() {
  * before the child which acts as a location anchor. We use this to calculate where to
  * show the absolute-positioned ID tag in the top-level overlay.
  */
-export function DevModeWrapper({id, children}) {
-  const isDevMode = useDevMode();
-  const overlayRoot = useOverlayRoot();
-  const ref = useRef();
+export function DevModeWrapper({id, info, getPreview, children}) {
+  const tag = useDevModeTag(id, info, getPreview);
 
   return (
     <>
-      {isDevMode && (
-        <>
-          <span ref={ref} />
-          {createPortal(<IDTag id={id} targetRef={ref} />, overlayRoot)}
-        </>
-      )}
+      {tag}
 
       {children}
     </>
@@ -86,129 +398,125 @@ export function DevModeWrapper({id, children}) {
 
 DevModeWrapper.propTypes = {
   id: PropTypes.string.isRequired,
+  /** Information about the overridable shown in the inspector, as recorded in the registry */
+  info: PropTypes.object,
+  /**
+   * Function returning the default and override elements compared in diff mode, as
+   * `defaultElement` and `overrideElement`, if the id is overridden
+   */
+  getPreview: PropTypes.func,
   children: PropTypes.node.isRequired,
 };
 
-const tagPositions = {};
-// To avoid having to integrate precise size measuring (which depends on OS, browser, font, etc),
-// we just make some reasonable assumptions and create a bounding box of this size.
-const presumedHeight = 25;
-const presumedWidth = 400;
-
-function storeTagPosition(id, top, left) {
-  tagPositions[id] = {
-    top,
-    left,
-    bottom: top + presumedHeight,
-    right: left + presumedWidth,
-  };
-}
-
-function removeTagPosition(id) {
-  delete tagPositions[id];
-}
+DevModeWrapper.defaultProps = {
+  info: null,
+  getPreview: null,
+};
 
-// Returns true if the proposed location (with the height/width presumptions) would overlap
-// with another tag for a different ID.
-function overlapExists(id, refTop, refLeft) {
-  const provisionalBottom = refTop + presumedHeight;
-  const provisionalRight = refLeft + presumedWidth;
+// Returns what the registry recorded for an id, kept up to date while `active`.
+function useRegistryEntry(id, active) {
+  const [entry, setEntry] = useState(null);
 
-  return Object.entries(tagPositions).some(([thisId, t]) => {
-    if (thisId === id) {
-      return false;
-    }
-    if (provisionalRight < t.left || t.right < refLeft) {
-      return false;
-    }
-    if (provisionalBottom < t.top || t.bottom < refTop) {
-      return false;
+  useEffect(() => {
+    if (!active) {
+      setEntry(null);
+      return;
     }
-    return true;
-  });
-}
+    const update = () => setEntry(overridableRegistry.get(id) || null);
+    update();
+    return overridableRegistry.subscribe(update);
+  }, [id, active]);
 
-function getNewPosition(id, refTop, refLeft) {
-  let top = refTop;
-  while (overlapExists(id, top, refLeft)) {
-    // Keep moving the tag location downwards until we no longer have an overlap.
-    top++;
-  }
+  return entry;
+}
 
-  return {top, left: refLeft};
+// Formats how many times an overridable has been rendered, and for how long if profiled.
+function formatRenderCount({renderCount, renderDuration}) {
+  return renderDuration ? ` ×${renderCount} · ${renderDuration.toFixed(1)} ms` : ` ×${renderCount}`;
 }
 
-function IDTag({targetRef, id}) {
+function IDTag({targetRef, id, info, getPreview}) {
+  const diffMode = useDevModeState(getDiffMode);
+  const renderCounts = useDevModeState(getRenderCounts);
+  const entry = useRegistryEntry(id, renderCounts);
   const [position, setPosition] = useState(null);
-  const [copied, setCopied] = useState(false);
+  const [inspecting, setInspecting] = useState(false);
+  const tagRef = useRef(null);
 
   useEffect(() => {
     const node = targetRef.current;
     if (!node) return;
 
-    let frameId;
-    const animationFrameHandler = () => {
-      const rect = node.getBoundingClientRect();
-      const parentRect = node.parentElement.getBoundingClientRect();
-
-      if (parentRect.width === 0 || parentRect.height === 0) {
-        // If width/height is 0 then the element is not visible so we should avoid showing the tag.
-        setPosition(null);
-      } else {
-        const newPosition = getNewPosition(
-          id,
-          rect.top + window.scrollY,
-          rect.left + window.scrollX
-        );
-        storeTagPosition(id, newPosition.top, newPosition.left);
-        setPosition(newPosition);
-      }
-
-      // Poll this function constantly without affecting UI performance
-      frameId = requestAnimationFrame(animationFrameHandler);
-    };
-
-    animationFrameHandler();
-
-    return () => {
-      removeTagPosition(id);
-      cancelAnimationFrame(frameId);
-    };
-  }, [targetRef, id]);
-
-  const onClick = useCallback(async () => {
-    await navigator.clipboard.writeText(id);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 1000);
-  }, [id]);
+    // the tag is rendered (but hidden) before it gets a position, so its size can be measured
+    return tagLayout.add(node, tagRef.current, setPosition);
+  }, [targetRef]);
 
-  if (!position) return null;
+  const onClick = useCallback(() => setInspecting(!inspecting), [inspecting]);
+  const onToggleOverride = useCallback(() => setOverrideDisabled(id, !info.disabled), [id, info]);
+  const onToggleDiff = useCallback(() => devMode.setDiffMode(!devModeState.diffMode), []);
 
   return (
-    <button
-      type="button"
-      onClick={onClick}
-      style={{
-        position: 'absolute',
-        top: position.top,
-        left: position.left,
-        background: 'darkred',
-        color: 'white',
-        fontSize: '10px',
-        zIndex: 9999,
-        padding: '2px 4px',
-        borderRadius: '4px',
-        border: '1px solid white',
-        fontWeight: 'bold',
-        cursor: 'pointer',
-      }}
-    >
-      {copied ? 'Copied!' : id}
-    </button>
+    <>
+      <button
+        type="button"
+        ref={tagRef}
+        onClick={onClick}
+        style={{
+          position: 'absolute',
+          top: position ? position.top : 0,
+          left: position ? position.left : 0,
+          visibility: position ? 'visible' : 'hidden',
+          background: 'darkred',
+          color: 'white',
+          fontSize: '10px',
+          zIndex: 9999,
+          padding: '2px 4px',
+          borderRadius: '4px',
+          border: '1px solid white',
+          fontWeight: 'bold',
+          cursor: 'pointer',
+        }}
+      >
+        {id}
+        {entry && <span style={{fontWeight: 'normal'}}>{formatRenderCount(entry)}</span>}
+      </button>
+      {position && inspecting && info && (
+        <Inspector
+          id={id}
+          info={info}
+          top={position.top + position.height}
+          left={position.left}
+          diffMode={diffMode}
+          onToggleOverride={onToggleOverride}
+          onToggleDiff={onToggleDiff}
+          onClose={onClick}
+        />
+      )}
+      {position && inspecting && info && diffMode && getPreview && (
+        <PreviewContext.Provider value>
+          <DiffView
+            id={id}
+            info={info}
+            top={position.top + position.height}
+            left={position.left + inspectorWidth + 8}
+            {...getPreview()}
+          />
+        </PreviewContext.Provider>
+      )}
+    </>
   );
 }
 
 IDTag.propTypes = {
   id: PropTypes.string.isRequired,
-  targetRef: PropTypes.shape({current: PropTypes.instanceOf(Element)}).isRequired,
+  info: PropTypes.object,
+  getPreview: DevModeWrapper.propTypes.getPreview,
+  // `Element` does not exist on the server
+  targetRef: PropTypes.shape({current: hasDOM ? PropTypes.instanceOf(Element) : PropTypes.any})
+    .isRequired,
+};
+
+IDTag.defaultProps = {
+  info: null,
+  getPreview: null,
 };
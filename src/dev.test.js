@@ -0,0 +1,405 @@
+import {mount} from 'enzyme';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import {renderToString} from 'react-dom/server';
+import {act} from 'react-dom/test-utils';
+import {devMode, setOverrideDisabled, startDevMode} from './dev';
+import {tagLayout} from './layout';
+import Overridable, {OverridableContext, overridableRegistry} from '.'; // export from index.js to test it
+
+const Title = () => (
+  <Overridable id="Title.container" size="big">
+    <h1>Default title</h1>
+  </Overridable>
+);
+
+const OverridableTitle = Overridable.component('Title', Title);
+const NewContainer = () => <h2>New title</h2>;
+
+const mockLayout = () => {
+  beforeAll(() => {
+    // jsdom does not do any layout, so we pretend all elements are visible
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({
+      top: 10,
+      left: 10,
+      width: 100,
+      height: 20,
+    });
+  });
+
+  afterAll(() => {
+    Element.prototype.getBoundingClientRect.mockRestore();
+  });
+};
+
+// tags are positioned during the next animation frame
+const layoutTags = mounted => {
+  act(() => tagLayout.update());
+  mounted.update();
+};
+
+const findTags = mounted =>
+  mounted
+    .find('IDTag button')
+    .filterWhere(button => button.prop('style').visibility === 'visible')
+    .map(button => button.text());
+
+describe('Tests for the dev mode inspector', () => {
+  mockLayout();
+
+  beforeEach(() => {
+    startDevMode();
+  });
+
+  afterEach(() => {
+    devMode.disable();
+  });
+
+  test('it should show the inspector when clicking on a tag', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <OverridableTitle />
+      </OverridableContext.Provider>
+    );
+    layoutTags(mounted);
+
+    const tag = mounted
+      .find('IDTag button')
+      .filterWhere(button => button.text() === 'Title.container');
+    tag.simulate('click');
+
+    const inspector = mounted.find('Inspector');
+    expect(inspector.text()).toContain('Override: NewContainer');
+    expect(inspector.text()).toContain('Default: h1');
+    expect(inspector.text()).toContain('Path: Title › Title.container');
+    expect(inspector.text()).toContain('"size": "big"');
+    mounted.unmount();
+  });
+
+  test('it should disable the override to preview the default', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <OverridableTitle />
+      </OverridableContext.Provider>
+    );
+    layoutTags(mounted);
+    expect(mounted.find('h2')).toHaveLength(1);
+
+    mounted
+      .find('button')
+      .filterWhere(button => button.text() === 'Title.container')
+      .simulate('click');
+    act(() => {
+      mounted.find('Inspector input[name="disableOverride"]').simulate('change');
+    });
+    mounted.update();
+    expect(mounted.find('h2')).toHaveLength(0);
+    expect(mounted.find('h1').text()).toEqual('Default title');
+    expect(mounted.find('Inspector').text()).toContain('Override: NewContainer (disabled)');
+
+    act(() => {
+      mounted.find('Inspector input[name="disableOverride"]').simulate('change');
+    });
+    mounted.update();
+    expect(mounted.find('h2')).toHaveLength(1);
+    mounted.unmount();
+  });
+});
+
+describe('Tests for the diff mode', () => {
+  mockLayout();
+
+  beforeEach(() => {
+    startDevMode();
+    overridableRegistry.clear();
+  });
+
+  afterEach(() => {
+    act(() => {
+      devMode.setDiffMode(false);
+      devMode.disable();
+    });
+  });
+
+  const clickTag = (mounted, id) => {
+    mounted
+      .find('IDTag button')
+      .filterWhere(button => button.text() === id)
+      .simulate('click');
+  };
+
+  test('it should show the override and the default side by side', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <OverridableTitle />
+      </OverridableContext.Provider>
+    );
+    layoutTags(mounted);
+    clickTag(mounted, 'Title.container');
+    expect(mounted.find('DiffView')).toHaveLength(0);
+
+    act(() => {
+      mounted.find('Inspector input[name="diffMode"]').simulate('change');
+    });
+    mounted.update();
+    expect(devMode.isDiffMode()).toBe(true);
+    const diff = mounted.find('DiffView');
+    expect(diff.text()).toContain('Override: NewContainer');
+    expect(diff.text()).toContain('Default: h1');
+    expect(diff.find('h2').text()).toEqual('New title');
+    expect(diff.find('h1').text()).toEqual('Default title');
+    // the page itself is not changed
+    expect(mounted.find('h2')).toHaveLength(2);
+    expect(mounted.find('h1')).toHaveLength(1);
+    // the overridables rendered in the comparison are not recorded
+    expect(overridableRegistry.get('Title.container').mounted).toEqual(1);
+    mounted.unmount();
+  });
+
+  test('it should compare the overrides of components', () => {
+    const NewTitle = () => <h3>New title</h3>;
+    act(() => devMode.setDiffMode(true));
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: NewTitle}}>
+        <OverridableTitle />
+      </OverridableContext.Provider>
+    );
+    layoutTags(mounted);
+    clickTag(mounted, 'Title');
+
+    const diff = mounted.find('DiffView');
+    expect(diff.text()).toContain('Override: NewTitle');
+    expect(diff.text()).toContain('Default: Title');
+    expect(diff.find('h3')).toHaveLength(1);
+    expect(diff.find('h1').text()).toEqual('Default title');
+    // no tags are shown for the overridables rendered in the comparison
+    expect(findTags(mounted)).toEqual(['Title']);
+    mounted.unmount();
+  });
+});
+
+describe('Tests for the dev mode controller', () => {
+  mockLayout();
+
+  afterEach(() => {
+    act(() => {
+      devMode.disable();
+      devMode.setFilter();
+      devMode.configure();
+    });
+    window.localStorage.clear();
+  });
+
+  const mountTitle = () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <div>
+          <OverridableTitle />
+          <Overridable id="Other.container">
+            <p>Other</p>
+          </Overridable>
+        </div>
+      </OverridableContext.Provider>
+    );
+    layoutTags(mounted);
+    return mounted;
+  };
+
+  test('it should show the render counts in the tags', () => {
+    act(() => {
+      startDevMode();
+      devMode.setShowRenderCounts(true);
+    });
+    const mounted = mount(
+      <Overridable id="Counted.container">
+        <p>First</p>
+      </Overridable>
+    );
+    layoutTags(mounted);
+    expect(findTags(mounted)).toEqual(['Counted.container ×1']);
+
+    mounted.setProps({children: <p>Second</p>});
+    layoutTags(mounted);
+    expect(findTags(mounted)).toEqual(['Counted.container ×2']);
+
+    act(() => devMode.setShowRenderCounts(false));
+    mounted.update();
+    expect(findTags(mounted)).toEqual(['Counted.container']);
+    mounted.unmount();
+  });
+
+  test('it should show and remove the tags when toggling dev mode', () => {
+    const mounted = mountTitle();
+    expect(findTags(mounted)).toEqual([]);
+
+    act(() => devMode.toggle());
+    layoutTags(mounted);
+    expect(devMode.isEnabled()).toBe(true);
+    expect(findTags(mounted)).toEqual(['Title', 'Title.container', 'Other.container']);
+
+    act(() => devMode.toggle());
+    mounted.update();
+    expect(devMode.isEnabled()).toBe(false);
+    expect(findTags(mounted)).toEqual([]);
+    expect(document.body.children).toHaveLength(0);
+    mounted.unmount();
+  });
+
+  test('it should only show the tags matching the filter', () => {
+    act(() => devMode.enable());
+    const mounted = mountTitle();
+
+    act(() => devMode.setFilter({prefix: 'Other'}));
+    layoutTags(mounted);
+    expect(findTags(mounted)).toEqual(['Other.container']);
+
+    act(() => devMode.setFilter({overriddenOnly: true}));
+    layoutTags(mounted);
+    expect(findTags(mounted)).toEqual(['Title.container']);
+    mounted.unmount();
+  });
+
+  test('it should persist dev mode in localStorage', () => {
+    act(() => {
+      devMode.configure({persist: 'localStorage'});
+      devMode.enable();
+      devMode.setFilter({prefix: 'Title'});
+    });
+    act(() => devMode.configure({persist: null}));
+    act(() => devMode.disable());
+
+    act(() => devMode.configure({persist: 'localStorage'}));
+    expect(devMode.isEnabled()).toBe(true);
+    expect(devMode.getFilter()).toEqual({overriddenOnly: false, prefix: 'Title'});
+  });
+
+  test('it should ignore invalid or unavailable storage', () => {
+    window.localStorage.setItem('reactOverridableDevMode', '{invalid');
+    act(() => devMode.configure({persist: 'localStorage'}));
+    expect(devMode.isEnabled()).toBe(false);
+
+    const error = () => {
+      throw new Error('The operation is insecure.');
+    };
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(error);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(error);
+    try {
+      act(() => {
+        devMode.configure({persist: 'localStorage'});
+        devMode.enable();
+        devMode.setFilter({prefix: 'Title'});
+      });
+      expect(devMode.isEnabled()).toBe(true);
+    } finally {
+      Storage.prototype.getItem.mockRestore();
+      Storage.prototype.setItem.mockRestore();
+    }
+  });
+
+  test('it should enable dev mode from the URL', () => {
+    window.history.pushState({}, '', '/?reactOverridableDevMode=Title');
+    act(() => devMode.configure({persist: 'query'}));
+    window.history.pushState({}, '', '/');
+
+    expect(devMode.isEnabled()).toBe(true);
+    expect(devMode.getFilter()).toEqual({overriddenOnly: false, prefix: 'Title'});
+  });
+
+  test('it should toggle overrides from the browser console', () => {
+    const mounted = mountTitle();
+    expect(mounted.find('h2')).toHaveLength(1);
+
+    act(() => window.reactOverridable.disable('Title.container'));
+    mounted.update();
+    expect(mounted.find('h1').text()).toBe('Default title');
+    expect(devMode.isEnabled()).toBe(false);
+
+    act(() => window.reactOverridable.enable('Title.container'));
+    mounted.update();
+    expect(mounted.find('h2').text()).toBe('New title');
+    mounted.unmount();
+  });
+
+  test('it should not toggle overrides in production', () => {
+    const env = process.env.NODE_ENV;
+    const consoleApi = window.reactOverridable;
+    process.env.NODE_ENV = 'production';
+    try {
+      jest.resetModules();
+      delete window.reactOverridable;
+      require('./dev');
+      expect(window.reactOverridable).toBeUndefined();
+
+      const mounted = mountTitle();
+      act(() => setOverrideDisabled('Title.container', true));
+      mounted.update();
+      expect(mounted.find('h2').text()).toBe('New title');
+      mounted.unmount();
+    } finally {
+      process.env.NODE_ENV = env;
+      window.reactOverridable = consoleApi;
+      setOverrideDisabled('Title.container', false);
+    }
+  });
+
+  test('it should toggle dev mode with a keyboard shortcut', () => {
+    act(() => devMode.configure({shortcut: 'Ctrl+Shift+O'}));
+    const press = options =>
+      act(() => {
+        window.dispatchEvent(new KeyboardEvent('keydown', {key: 'O', ...options}));
+      });
+
+    press({ctrlKey: true});
+    expect(devMode.isEnabled()).toBe(false);
+    // e.g. sent by autofill
+    act(() => {
+      window.dispatchEvent(new Event('keydown'));
+    });
+    expect(devMode.isEnabled()).toBe(false);
+    press({ctrlKey: true, shiftKey: true});
+    expect(devMode.isEnabled()).toBe(true);
+    press({ctrlKey: true, shiftKey: true});
+    expect(devMode.isEnabled()).toBe(false);
+  });
+});
+
+describe('Tests for the hydration of server-side rendered markup', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    jest.spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    act(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      devMode.disable();
+    });
+    container.remove();
+    console.error.mockRestore();
+  });
+
+  test('it should hydrate the markup and show the tags in dev mode', () => {
+    const element = (
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <OverridableTitle />
+      </OverridableContext.Provider>
+    );
+    container.innerHTML = renderToString(element);
+    expect(container.textContent).toBe('New title');
+
+    act(() => startDevMode());
+    // the overlay of the tags already exists on the page
+    const other = mount(<OverridableTitle />);
+    act(() => {
+      ReactDOM.hydrate(element, container);
+    });
+    expect(console.error).not.toHaveBeenCalled();
+    other.unmount();
+
+    // the tags are only rendered once hydrated, anchored to empty elements
+    expect(container.innerHTML).toBe('<span></span><span></span><h2>New title</h2>');
+  });
+});
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import {transformSync} from '@babel/core';
+import {matchesId} from './resolve';
+
+const extensions = ['.js', '.jsx', '.mjs', '.ts', '.tsx'];
+
+// Returns the value of a node if it is a static string, `null` otherwise.
+function getStaticString(node) {
+  if (!node) {
+    return null;
+  } else if (node.type === 'StringLiteral') {
+    return node.value;
+  } else if (node.type === 'TemplateLiteral' && !node.expressions.length) {
+    return node.quasis[0].value.cooked;
+  } else if (node.type === 'JSXExpressionContainer') {
+    return getStaticString(node.expression);
+  }
+  return null;
+}
+
+function getJSXName(node) {
+  if (node.type === 'JSXIdentifier') {
+    return node.name;
+  } else if (node.type === 'JSXMemberExpression') {
+    return `${getJSXName(node.object)}.${getJSXName(node.property)}`;
+  }
+  return `${node.namespace.name}:${node.name.name}`;
+}
+
+/**
+ * Babel plugin collecting the ids of all `<Overridable id="...">` elements (and of their
+ * slots) and `Overridable.component('...', Component)` calls of a file. They are stored as
+ * `overridableIds` in the metadata of the result of the transformation.
+ *
+ * Supported options: `moduleName`, the module from which `Overridable` is imported
+ * (defaults to `react-overridable`).
+ */
+export function overridableIdsPlugin() {
+  return {
+    name: 'react-overridable-ids',
+    visitor: {
+      Program(programPath, state) {
+        const moduleName = state.opts.moduleName || 'react-overridable';
+        state.overridableNames = new Set(['Overridable']);
+        programPath.node.body
+          .filter(node => node.type === 'ImportDeclaration' && node.source.value === moduleName)
+          .forEach(node => {
+            node.specifiers
+              .filter(specifier => specifier.type === 'ImportDefaultSpecifier')
+              .forEach(specifier => state.overridableNames.add(specifier.local.name));
+          });
+        state.file.metadata.overridableIds = [];
+      },
+
+      JSXElement({node}, state) {
+        const {name, attributes} = node.openingElement;
+        if (name.type !== 'JSXIdentifier' || !state.overridableNames.has(name.name)) {
+          return;
+        }
+        const idAttribute = attributes.find(
+          attr => attr.type === 'JSXAttribute' && attr.name.name === 'id'
+        );
+        if (!idAttribute) {
+          return;
+        }
+        const id = getStaticString(idAttribute.value);
+        const child = node.children.find(c => c.type === 'JSXElement' || c.type === 'JSXFragment');
+        state.file.metadata.overridableIds.push({
+          id,
+          type: 'element',
+          line: node.loc.start.line,
+          component: child
+            ? child.type === 'JSXFragment'
+              ? 'Fragment'
+              : getJSXName(child.openingElement.name)
+            : null,
+          props: attributes
+            .filter(attr => attr !== idAttribute)
+            // the contract of the id is not passed to the overrides
+            .filter(attr => attr.type !== 'JSXAttribute' || attr.name.name !== 'contract')
+            .map(attr =>
+              attr.type === 'JSXSpreadAttribute'
+                ? `...${state.file.code.slice(attr.argument.start, attr.argument.end)}`
+                : attr.name.name
+            ),
+        });
+
+        // each slot can be overridden with its own id
+        const slotsAttribute = attributes.find(
+          attr => attr.type === 'JSXAttribute' && attr.name.name === 'slots'
+        );
+        const slots = slotsAttribute && slotsAttribute.value && slotsAttribute.value.expression;
+        if (slots && slots.type === 'ObjectExpression') {
+          slots.properties
+            .filter(prop => prop.type === 'ObjectProperty' && !prop.computed)
+            .forEach(prop => {
+              const slotName = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+              state.file.metadata.overridableIds.push({
+                id: id === null ? null : `${id}.${slotName}`,
+                type: 'slot',
+                line: prop.loc.start.line,
+                component:
+                  prop.value.type === 'JSXElement'
+                    ? getJSXName(prop.value.openingElement.name)
+                    : null,
+                props: [],
+              });
+            });
+        }
+      },
+
+      CallExpression({node}, state) {
+        const {callee} = node;
+        if (
+          callee.type !== 'MemberExpression' ||
+          callee.object.type !== 'Identifier' ||
+          !state.overridableNames.has(callee.object.name) ||
+          callee.property.name !== 'component'
+        ) {
+          return;
+        }
+        const [idArg, componentArg] = node.arguments;
+        state.file.metadata.overridableIds.push({
+          id: getStaticString(idArg),
+          type: 'component',
+          line: node.loc.start.line,
+          component: componentArg
+            ? state.file.code.slice(componentArg.start, componentArg.end)
+            : null,
+          props: [],
+        });
+      },
+    },
+  };
+}
+
+/**
+ * Extracts the overridable ids used in a piece of code.
+ * @param code the source code
+ * @param filename the name of the file, used in the results and to detect TypeScript
+ * @param options the options of the Babel plugin
+ * @returns a list of objects with the `id` (or `null` if it is not a static string), the
+ *  `type` of overridable (`element`, `slot` or `component`), the `file` and `line`, the name of the
+ *  wrapped `component` and the names of the `props` passed to it
+ */
+export function extractIds(code, filename = 'unknown.js', options = {}) {
+  const typescript = /\.tsx?$/.test(filename);
+  // in plain TypeScript files, `<Type>value` is a type assertion and not an element
+  const jsx = !/\.ts$/.test(filename);
+  const {metadata} = transformSync(code, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    code: false,
+    parserOpts: {
+      plugins: [
+        typescript ? 'typescript' : 'flow',
+        ...(jsx ? ['jsx'] : []),
+        'classProperties',
+        'classPrivateProperties',
+        'dynamicImport',
+        'optionalChaining',
+        'nullishCoalescingOperator',
+      ],
+    },
+    plugins: [[overridableIdsPlugin, options]],
+  });
+  return metadata.overridableIds.map(({id, ...entry}) => ({id, file: filename, ...entry}));
+}
+
+function listFiles(fileOrDir) {
+  if (!fs.statSync(fileOrDir).isDirectory()) {
+    return [fileOrDir];
+  }
+  return fs
+    .readdirSync(fileOrDir)
+    .filter(name => name !== 'node_modules' && !name.startsWith('.'))
+    .map(name => path.join(fileOrDir, name))
+    .filter(name => fs.statSync(name).isDirectory() || extensions.includes(path.extname(name)))
+    .flatMap(listFiles);
+}
+
+/**
+ * Extracts the overridable ids used in files and directories (recursively). Files which
+ * cannot be parsed are skipped and reported.
+ * @param paths the files and directories to scan
+ * @param options the options of the Babel plugin
+ * @returns the manifest, an object with the list of `ids` found (see `extractIds`), and the
+ *  `errors` of the files which could not be parsed, with the `file` and a `message`
+ */
+export function extractIdsFromFiles(paths, options = {}) {
+  const errors = [];
+  const ids = paths
+    .flatMap(listFiles)
+    .sort()
+    .flatMap(file => {
+      try {
+        return extractIds(fs.readFileSync(file, 'utf8'), file, options);
+      } catch (error) {
+        // Babel prefixes its messages with the name of the file
+        errors.push({file, message: error.message.replace(`${file}: `, '')});
+        return [];
+      }
+    });
+  return {ids, errors};
+}
+
+/**
+ * Returns the ids (or patterns) of overridden components which do not match any id of a
+ * manifest, e.g. because they have been renamed.
+ * @param manifest the manifest returned by `extractIdsFromFiles`
+ * @param overriddenIds the ids used in a map of overridden components
+ */
+export function findUnknownIds(manifest, overriddenIds) {
+  const knownIds = manifest.ids.map(entry => entry.id).filter(id => id !== null);
+  return overriddenIds.filter(id => !knownIds.some(knownId => matchesId(id, knownId)));
+}
+
+const usage = `Usage: react-overridable-extract [options] <files or directories...>
+
+Scans the source files for overridable ids and prints a JSON manifest.
+
+Options:
+  --output <file>   write the manifest to a file instead of printing it
+  --check <file>    check that all the ids in a JSON file (a list of ids or a map of
+                    overridden components) exist and exit with an error otherwise
+  --module <name>   module from which Overridable is imported (default: react-overridable)
+`;
+
+/**
+ * Runs the command-line tool.
+ * @param args the command-line arguments
+ * @returns the exit code
+ */
+export function main(args) {
+  const paths = [];
+  const options = {};
+  let output = null;
+  let check = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output') {
+      output = args[++i];
+    } else if (args[i] === '--check') {
+      check = args[++i];
+    } else if (args[i] === '--module') {
+      options.moduleName = args[++i];
+    } else if (args[i] === '--help' || args[i].startsWith('-')) {
+      console.error(usage);
+      return args[i] === '--help' ? 0 : 2;
+    } else {
+      paths.push(args[i]);
+    }
+  }
+  if (!paths.length) {
+    console.error(usage);
+    return 2;
+  }
+
+  const {errors, ...manifest} = extractIdsFromFiles(paths, options);
+  errors.forEach(({file, message}) => console.error(`Could not parse ${file}: ${message}`));
+  const json = JSON.stringify(manifest, null, 2);
+  if (output) {
+    fs.writeFileSync(output, `${json}\n`);
+  } else if (!check) {
+    console.log(json);
+  }
+
+  if (check) {
+    const overridden = JSON.parse(fs.readFileSync(check, 'utf8'));
+    const unknownIds = findUnknownIds(
+      manifest,
+      Array.isArray(overridden) ? overridden : Object.keys(overridden)
+    );
+    unknownIds.forEach(id => console.error(`Unknown overridable id: ${id}`));
+    return unknownIds.length || errors.length ? 1 : 0;
+  }
+  return errors.length ? 1 : 0;
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {extractIds, extractIdsFromFiles, findUnknownIds, main} from './extract';
+
+const code = `
+import React from 'react';
+import Overridable from 'react-overridable';
+
+const Title = ({title, ...rest}) => (
+  <Overridable id="Title.container" title={title} {...rest}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+export default Overridable.component('Title', Title);
+`;
+
+describe('Tests for the extraction of overridable ids', () => {
+  test('it should extract the ids of elements and components', () => {
+    expect(extractIds(code, 'src/Title.js')).toEqual([
+      {
+        id: 'Title.container',
+        file: 'src/Title.js',
+        type: 'element',
+        line: 6,
+        component: 'h1',
+        props: ['title', '...rest'],
+      },
+      {
+        id: 'Title',
+        file: 'src/Title.js',
+        type: 'component',
+        line: 11,
+        component: 'Title',
+        props: [],
+      },
+    ]);
+  });
+
+  test('it should support other names for Overridable', () => {
+    const renamed = `
+      import Ovr from 'my-overridable';
+      const Header = () => <Ovr id="Header"><></></Ovr>;
+    `;
+    expect(extractIds(renamed, 'Header.js', {moduleName: 'my-overridable'})).toEqual([
+      expect.objectContaining({id: 'Header', component: 'Fragment'}),
+    ]);
+  });
+
+  test('it should not list the contract as a prop', () => {
+    const contract = `
+      import Overridable from 'react-overridable';
+      const Title = ({title}) => (
+        <Overridable id="Title" title={title} contract={{version: 2}}><h1 /></Overridable>
+      );
+    `;
+    expect(extractIds(contract, 'Title.js')).toEqual([
+      expect.objectContaining({id: 'Title', props: ['title']}),
+    ]);
+  });
+
+  test('it should support TypeScript', () => {
+    const typescript = `
+      import Overridable from 'react-overridable';
+      const Title = ({title}: {title: string}) => <h1>{title}</h1>;
+      export default Overridable.component('Title', Title as React.FC);
+    `;
+    expect(extractIds(typescript, 'Title.tsx')).toEqual([
+      expect.objectContaining({id: 'Title', component: 'Title as React.FC'}),
+    ]);
+  });
+
+  test('it should parse type assertions in TypeScript files without JSX', () => {
+    const assertion = `
+      import Overridable from 'react-overridable';
+      const Title = <any>Header;
+      export default Overridable.component('Title', Title);
+    `;
+    expect(extractIds(assertion, 'Title.ts')).toEqual([
+      expect.objectContaining({id: 'Title', component: 'Title'}),
+    ]);
+  });
+
+  test('it should extract the ids of slots', () => {
+    const slots = `
+      const Card = () => (
+        <Overridable id="Card" slots={{header: <Header />, 'body': <p />, footer: 'Footer'}}>
+          {({header, body, footer}) => <div>{header}{body}{footer}</div>}
+        </Overridable>
+      );
+    `;
+    expect(
+      extractIds(slots, 'Card.js').map(({id, type, component}) => [id, type, component])
+    ).toEqual([
+      ['Card', 'element', null],
+      ['Card.header', 'slot', 'Header'],
+      ['Card.body', 'slot', 'p'],
+      ['Card.footer', 'slot', null],
+    ]);
+  });
+
+  test('it should report ids which are not static strings', () => {
+    const dynamic = 'const Title = () => <Overridable id={`Title.${name}`} />;';
+    expect(extractIds(dynamic)).toEqual([expect.objectContaining({id: null, component: null})]);
+  });
+
+  test('it should find the overridden ids missing from the manifest', () => {
+    const manifest = {ids: extractIds(code, 'src/Title.js')};
+    expect(
+      findUnknownIds(manifest, ['Title', 'Title.contaner', '*.container', '*.layout'])
+    ).toEqual(['Title.contaner', '*.layout']);
+  });
+});
+
+describe('Tests for the extraction of overridable ids from files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'react-overridable-'));
+    fs.writeFileSync(path.join(dir, 'Title.js'), code);
+    fs.writeFileSync(path.join(dir, 'Broken.js'), 'const Broken = <div>;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true});
+  });
+
+  test('it should skip and report the files which cannot be parsed', () => {
+    const {ids, errors} = extractIdsFromFiles([dir]);
+    expect(ids.map(({id}) => id)).toEqual(['Title.container', 'Title']);
+    expect(errors).toEqual([
+      {file: path.join(dir, 'Broken.js'), message: expect.stringContaining('(1:20)')},
+    ]);
+  });
+
+  test('it should write the manifest and exit with an error', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const output = path.join(dir, 'manifest.json');
+    expect(main(['--output', output, dir])).toBe(1);
+    expect(JSON.parse(fs.readFileSync(output, 'utf8')).ids).toHaveLength(2);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(/^Could not parse .*Broken\.js: Unterminated JSX contents/)
+    );
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,131 @@
+import React, {useEffect, useReducer} from 'react';
+import {getComponentName} from './registry';
+import {OverrideEntry} from './resolve';
+import {overrideStore} from './store';
+
+/**
+ * Entry whose component can be replaced while it is rendered, e.g. when its module is edited.
+ * Only the overridables rendering it are re-rendered; they are not remounted, so only the
+ * component itself loses its state (unless React Refresh preserves it).
+ */
+export class HotOverride extends OverrideEntry {
+  constructor(component) {
+    super();
+    this.component = component;
+    this.listeners = new Set();
+  }
+
+  // validation and the registry look at the entry as they would at the component
+  get displayName() {
+    return getComponentName(this.component);
+  }
+
+  get contractVersion() {
+    return this.component.contractVersion;
+  }
+
+  /**
+   * Replaces the component and re-renders the overridables using it.
+   * @param component the new component
+   */
+  update(component) {
+    this.component = component;
+    this.listeners.forEach(listener => listener());
+  }
+
+  createComponent() {
+    const entry = this;
+
+    const HotOverridden = props => {
+      const [, forceUpdate] = useReducer(count => count + 1, 0);
+      const Component = entry.component;
+
+      useEffect(() => {
+        entry.listeners.add(forceUpdate);
+        // re-render if it was replaced between rendering and running this effect
+        if (entry.component !== Component) {
+          forceUpdate();
+        }
+        return () => {
+          entry.listeners.delete(forceUpdate);
+        };
+      }, []);
+
+      return React.createElement(Component, props);
+    };
+
+    Object.defineProperty(HotOverridden, 'displayName', {get: () => entry.displayName});
+    return HotOverridden;
+  }
+}
+
+// Components are swapped in place, anything else (e.g. props or rules) is simply registered
+// again.
+const isComponent = entry =>
+  typeof entry === 'function' || (!!entry && typeof entry === 'object' && '$$typeof' in entry);
+
+// the ids registered by each source, with their `HotOverride` entries, for each store
+const hotRegistrations = new WeakMap();
+
+/**
+ * Registers the overrides of a module and keeps them up to date when the module is replaced
+ * by the hot module replacement of the bundler, without reloading the page:
+ * ```
+ * registerHotOverrides(module.hot, {TitleComponent: BoldTitle}, {source: 'theme'});
+ * // or with Vite
+ * registerHotOverrides(import.meta.hot, {TitleComponent: BoldTitle}, {source: 'theme'});
+ * ```
+ * When the module is executed again, the components it overrides are swapped in place, so
+ * only the overridables using them are re-rendered and the rest of the app keeps its state.
+ * The ids it no longer overrides are removed from the store. Without hot module replacement
+ * (e.g. in production, where `module.hot` is undefined) the overrides are just added.
+ * @param hot the hot module replacement API of the module (`module.hot` or `import.meta.hot`)
+ * @param overrides the map `id: Component` of overridden components
+ * @param options object with the `store` to register them in (defaults to `overrideStore`),
+ *  their `source`, which must be unique to the module and is required with hot module
+ *  replacement, and their `priority`
+ */
+export function registerHotOverrides(
+  hot,
+  overrides,
+  {store = overrideStore, source, priority} = {}
+) {
+  if (!hot) {
+    store.batch(() => {
+      Object.entries(overrides).forEach(([id, Component]) => {
+        store.add(id, Component, {source, priority});
+      });
+    });
+    return;
+  }
+
+  if (source === undefined) {
+    // the overrides of each module are told apart by their source
+    throw new Error('react-overridable: registerHotOverrides needs a source unique to the module');
+  }
+  hot.accept();
+  if (!hotRegistrations.has(store)) {
+    hotRegistrations.set(store, new Map());
+  }
+  const previous = hotRegistrations.get(store).get(source) || new Map();
+  const current = new Map();
+  store.batch(() => {
+    Object.entries(overrides).forEach(([id, Component]) => {
+      const previousEntry = previous.get(id);
+      if (previousEntry && isComponent(Component)) {
+        previousEntry.update(Component);
+        current.set(id, previousEntry);
+        return;
+      }
+      const entry = isComponent(Component) ? new HotOverride(Component) : null;
+      store.add(id, entry || Component, {source, priority});
+      current.set(id, entry);
+    });
+    previous.forEach((entry, id) => {
+      if (!current.has(id)) {
+        store.remove(id, {source});
+      }
+    });
+  });
+  hotRegistrations.get(store).set(source, current);
+}
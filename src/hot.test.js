@@ -0,0 +1,133 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React, {useState} from 'react';
+import {act} from 'react-dom/test-utils';
+import Overridable, {
+  OverridableProvider,
+  OverriddenComponentRepository,
+  registerHotOverrides,
+} from '.'; // export from index.js to test it
+
+const Title = ({title}) => (
+  <Overridable id="Title.container" title={title}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const renderCounts = {form: 0};
+
+const Form = () => {
+  const [value, setValue] = useState('');
+  renderCounts.form++;
+  return (
+    <Overridable id="Form">
+      <input value={value} onChange={evt => setValue(evt.target.value)} />
+    </Overridable>
+  );
+};
+
+const BoldTitle = ({title}) => <strong>{title}</strong>;
+
+BoldTitle.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const ItalicTitle = ({title}) => <em>{title}</em>;
+
+ItalicTitle.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const mountApp = store =>
+  mount(
+    <OverridableProvider store={store}>
+      <Title title="Hello" />
+      <Form />
+    </OverridableProvider>
+  );
+
+describe('Tests for registerHotOverrides', () => {
+  let store, hot;
+
+  beforeEach(() => {
+    store = new OverriddenComponentRepository();
+    hot = {accept: jest.fn()};
+    renderCounts.form = 0;
+  });
+
+  test('it should swap a component without re-rendering the rest of the app', () => {
+    registerHotOverrides(hot, {'Title.container': BoldTitle}, {store, source: 'theme'});
+    const mounted = mountApp(store);
+    mounted.find('input').simulate('change', {target: {value: 'typed'}});
+    expect(mounted.find('strong').text()).toBe('Hello');
+    expect(renderCounts.form).toBe(2);
+
+    // the module is executed again after being edited
+    act(() => {
+      registerHotOverrides(hot, {'Title.container': ItalicTitle}, {store, source: 'theme'});
+    });
+    mounted.update();
+    expect(mounted.find('em').text()).toBe('Hello');
+    expect(mounted.find('input').prop('value')).toBe('typed');
+    expect(renderCounts.form).toBe(2);
+    expect(hot.accept).toHaveBeenCalledTimes(2);
+    mounted.unmount();
+  });
+
+  test('it should add and remove the ids overridden by the new version', () => {
+    const NewForm = () => <form />;
+    registerHotOverrides(hot, {'Title.container': BoldTitle}, {store, source: 'theme'});
+    store.add('Title.container', ItalicTitle, {source: 'plugin', priority: -1});
+    const mounted = mountApp(store);
+
+    act(() => {
+      registerHotOverrides(hot, {Form: NewForm}, {store, source: 'theme'});
+    });
+    mounted.update();
+    expect(mounted.find('em').text()).toBe('Hello');
+    expect(mounted.find('form')).toHaveLength(1);
+    expect(store.getContributors('Title.container')).toHaveLength(1);
+    mounted.unmount();
+  });
+
+  test('it should keep the overrides of each module apart', () => {
+    const otherHot = {accept: jest.fn()};
+    registerHotOverrides(hot, {'Title.container': BoldTitle}, {store, source: 'theme'});
+    registerHotOverrides(otherHot, {Form: ItalicTitle}, {store, source: 'plugin'});
+    registerHotOverrides(hot, {'Title.container': ItalicTitle}, {store, source: 'theme'});
+
+    expect(Object.keys(store.getAll())).toEqual(['Title.container', 'Form']);
+    expect(store.getContributors('Form')[0].source).toBe('plugin');
+  });
+
+  test('it should require a source with hot module replacement', () => {
+    expect(() => registerHotOverrides(hot, {Form: BoldTitle}, {store})).toThrow(
+      'registerHotOverrides needs a source unique to the module'
+    );
+    expect(hot.accept).not.toHaveBeenCalled();
+    expect(store.getAll()).toEqual({});
+  });
+
+  test('it should register other entries again', () => {
+    registerHotOverrides(hot, {'Title.container': {className: 'title'}}, {store, source: 'theme'});
+    const mounted = mountApp(store);
+    expect(mounted.find('h1').prop('className')).toBe('title');
+
+    act(() => {
+      registerHotOverrides(hot, {'Title.container': {className: 'big'}}, {store, source: 'theme'});
+    });
+    mounted.update();
+    expect(mounted.find('h1').prop('className')).toBe('big');
+    mounted.unmount();
+  });
+
+  test('it should just add the overrides without hot module replacement', () => {
+    registerHotOverrides(undefined, {'Title.container': BoldTitle}, {store, source: 'theme'});
+    expect(store.get('Title.container')).toBe(BoldTitle);
+    expect(store.getContributors('Title.container')[0].source).toBe('theme');
+  });
+});
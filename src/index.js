@@ -1,2 +1,19 @@
-export {default, parametrize, OverridableContext} from './overridable';
-export {overrideStore, OverriddenComponentRepository} from './store';
+export {
+  default,
+  parametrize,
+  useIsOverridden,
+  useOverridableProps,
+  useOverride,
+  OverridableContext,
+} from './overridable';
+export {getOverrideStore, overrideStore, OverriddenComponentRepository} from './store';
+export {OverridableProvider, useOverrideStore} from './provider';
+export {USE_DEFAULT, matchesId, mergeOverrides, overrideProps, wrap} from './resolve';
+export {lazyOverride} from './lazy';
+export {registerHotOverrides} from './hot';
+export {mergeProps} from './props';
+export {overridableRegistry, OverridableRegistry} from './registry';
+export {validateOverrides} from './validate';
+export {loadOverrides} from './config';
+export {declareContract} from './contracts';
+export {devMode} from './dev';
@@ -0,0 +1,205 @@
+import React, {useCallback, useState} from 'react';
+import PropTypes from 'prop-types';
+import {getComponentName} from './registry';
+
+/**
+ * Returns a readable representation of the props received by an overridable, where
+ * functions and React elements (which cannot be serialized) are replaced by their names.
+ */
+export function formatProps(props) {
+  const seen = new WeakSet();
+  return JSON.stringify(
+    props,
+    (key, value) => {
+      if (typeof value === 'function') {
+        return `ƒ ${value.name || 'anonymous'}()`;
+      } else if (React.isValidElement(value)) {
+        return `<${getComponentName(value.type)} />`;
+      } else if (value && typeof value === 'object') {
+        if (seen.has(value)) {
+          return '[Circular]';
+        }
+        seen.add(value);
+      } else if (value === undefined) {
+        return 'undefined';
+      }
+      return value;
+    },
+    2
+  );
+}
+
+export const inspectorWidth = 360;
+
+const rowStyle = {margin: '4px 0'};
+const panelStyle = {
+  position: 'absolute',
+  maxHeight: 400,
+  overflow: 'auto',
+  background: 'white',
+  color: 'black',
+  fontSize: '11px',
+  fontFamily: 'sans-serif',
+  zIndex: 10000,
+  border: '1px solid darkred',
+  borderRadius: '4px',
+  boxShadow: '0 2px 6px rgba(0, 0, 0, 0.3)',
+};
+const headerStyle = {background: 'darkred', color: 'white', padding: '4px', fontWeight: 'bold'};
+const buttonStyle = {
+  background: 'white',
+  color: 'darkred',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '10px',
+  marginLeft: '4px',
+  cursor: 'pointer',
+};
+
+/**
+ * Panel showing how an overridable is rendered, opened by clicking on its ID tag in dev mode.
+ * It shows whether the overridable is overridden and by which component, the name of the
+ * default component, the props it receives and the ids of the overridables it is rendered in.
+ * The override can be temporarily disabled to preview the default component, or compared
+ * with it in diff mode.
+ */
+export function Inspector({
+  id,
+  info,
+  top,
+  left,
+  diffMode,
+  onToggleOverride,
+  onToggleDiff,
+  onClose,
+}) {
+  const [copied, setCopied] = useState(false);
+  const {defaultComponent, override, disabled, props, path} = info;
+
+  const onCopy = useCallback(() => {
+    navigator.clipboard.writeText(id).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1000);
+    });
+  }, [id]);
+
+  return (
+    <div
+      role="dialog"
+      aria-label={`Overridable ${id}`}
+      style={{...panelStyle, top, left, width: inspectorWidth}}
+    >
+      <div style={headerStyle}>
+        {id}
+        <span style={{float: 'right'}}>
+          <button type="button" style={buttonStyle} onClick={onCopy}>
+            {copied ? 'Copied!' : 'Copy ID'}
+          </button>
+          <button type="button" style={buttonStyle} onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </span>
+      </div>
+      <div style={{padding: '4px'}}>
+        <div style={rowStyle}>
+          <strong>Override:</strong> {override ? getComponentName(override) : 'none'}
+          {override && disabled && ' (disabled)'}
+        </div>
+        <div style={rowStyle}>
+          <strong>Default:</strong> {getComponentName(defaultComponent) || 'nothing'}
+        </div>
+        <div style={rowStyle}>
+          <strong>Path:</strong> {path.join(' › ')}
+        </div>
+        {override && (
+          <label style={{...rowStyle, display: 'block'}}>
+            <input
+              type="checkbox"
+              name="disableOverride"
+              checked={disabled}
+              onChange={onToggleOverride}
+            />{' '}
+            Disable the override to preview the default
+          </label>
+        )}
+        {override && (
+          <label style={{...rowStyle, display: 'block'}}>
+            <input type="checkbox" name="diffMode" checked={diffMode} onChange={onToggleDiff} />{' '}
+            Compare the override with the default side by side
+          </label>
+        )}
+        <div style={rowStyle}>
+          <strong>Props:</strong>
+          <pre style={{margin: '2px 0', whiteSpace: 'pre-wrap'}}>{formatProps(props)}</pre>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+Inspector.propTypes = {
+  id: PropTypes.string.isRequired,
+  info: PropTypes.shape({
+    defaultComponent: PropTypes.elementType,
+    override: PropTypes.elementType,
+    disabled: PropTypes.bool,
+    props: PropTypes.object.isRequired,
+    path: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  top: PropTypes.number.isRequired,
+  left: PropTypes.number.isRequired,
+  diffMode: PropTypes.bool,
+  onToggleOverride: PropTypes.func.isRequired,
+  onToggleDiff: PropTypes.func,
+  onClose: PropTypes.func.isRequired,
+};
+
+Inspector.defaultProps = {
+  diffMode: false,
+  onToggleDiff: () => {},
+};
+
+const columnStyle = {flex: 1, minWidth: 0, padding: '4px'};
+const previewStyle = {border: '1px dashed darkred', padding: '4px', marginTop: '4px'};
+
+/**
+ * Panel rendering the override of an overridable and its default component side by side,
+ * shown next to the inspector in diff mode.
+ */
+export function DiffView({id, info, top, left, defaultElement, overrideElement}) {
+  return (
+    <div
+      role="region"
+      aria-label={`Comparison of the override of ${id}`}
+      style={{...panelStyle, top, left, width: 2 * inspectorWidth}}
+    >
+      <div style={headerStyle}>{id}</div>
+      <div style={{display: 'flex'}}>
+        <div style={columnStyle}>
+          <strong>Override: {getComponentName(info.override)}</strong>
+          <div style={previewStyle}>{overrideElement}</div>
+        </div>
+        <div style={columnStyle}>
+          <strong>Default: {getComponentName(info.defaultComponent) || 'nothing'}</strong>
+          <div style={previewStyle}>{defaultElement}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+DiffView.propTypes = {
+  id: PropTypes.string.isRequired,
+  info: PropTypes.shape({
+    defaultComponent: PropTypes.elementType,
+    override: PropTypes.elementType,
+  }).isRequired,
+  top: PropTypes.number.isRequired,
+  left: PropTypes.number.isRequired,
+  defaultElement: PropTypes.node,
+  overrideElement: PropTypes.node.isRequired,
+};
+
+DiffView.defaultProps = {
+  defaultElement: null,
+};
@@ -0,0 +1,229 @@
+// Size of the cells of the grid used to find the tags a tag may overlap with.
+const cellSize = 100;
+
+function getCells({top, left, bottom, right}) {
+  const cells = [];
+  for (let row = Math.floor(top / cellSize); row <= Math.floor(bottom / cellSize); row++) {
+    for (let col = Math.floor(left / cellSize); col <= Math.floor(right / cellSize); col++) {
+      cells.push(`${row}:${col}`);
+    }
+  }
+  return cells;
+}
+
+function overlaps(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+/**
+ * Places tags as close as possible to where they should be shown without any overlap.
+ * Tags are placed from the top of the page, and a tag overlapping with an already placed tag
+ * is moved right below it. The tags already placed are kept in a grid so only the ones close
+ * to a tag need to be checked.
+ * @param tags list of objects with the `top` and `left` position where the tag should be
+ *  shown and its `width` and `height`
+ * @returns the `top` and `left` position of each tag, in the same order
+ */
+export function placeTags(tags) {
+  const grid = new Map();
+  const positions = new Array(tags.length);
+  const order = tags
+    .map((tag, index) => index)
+    .sort((a, b) => tags[a].top - tags[b].top || tags[a].left - tags[b].left);
+
+  order.forEach(index => {
+    const {top, left, width, height} = tags[index];
+    const rect = {top, left, bottom: top + height, right: left + width};
+    let collision;
+    do {
+      collision = getCells(rect)
+        .flatMap(cell => grid.get(cell) || [])
+        .find(placed => overlaps(rect, placed));
+      if (collision) {
+        rect.top = collision.bottom;
+        rect.bottom = rect.top + height;
+      }
+    } while (collision);
+
+    getCells(rect).forEach(cell => {
+      if (!grid.has(cell)) {
+        grid.set(cell, []);
+      }
+      grid.get(cell).push(rect);
+    });
+    positions[index] = {top: rect.top, left: rect.left};
+  });
+  return positions;
+}
+
+/**
+ * Computes the position of the ID tags shown in dev mode. Instead of each tag measuring its
+ * anchor on every frame, the positions of all the tags are computed at once, and only when
+ * something may have moved them: the page is scrolled or resized, an anchor or a tag changes
+ * size, or an anchor comes into view. Tags whose anchor is far outside of the viewport are
+ * hidden and not measured at all.
+ */
+export class TagLayout {
+  constructor() {
+    this.items = new Set();
+    this.frameId = null;
+    this.resizeObserver = null;
+    this.intersectionObserver = null;
+  }
+
+  /**
+   * Starts computing the position of a tag.
+   * @param anchor the element next to which the tag is shown
+   * @param tag the DOM node of the tag, to measure its size
+   * @param onChange function called with the new position of the tag (an object with its
+   *  `top`, `left` and `height`), or `null` if it should be hidden
+   * @returns a function to call when the tag is removed
+   */
+  add = (anchor, tag, onChange) => {
+    if (!this.items.size) {
+      this._start();
+    }
+    const item = {anchor, target: anchor.parentElement, tag, onChange, position: null};
+    // the intersection observer only reports the visibility of an element when starting to observe it
+    const sibling = [...this.items].find(({target}) => target === item.target);
+    item.intersecting = sibling ? sibling.intersecting : !this.intersectionObserver;
+    this.items.add(item);
+    this._observe(item.target);
+    this._observe(item.tag);
+    if (this.intersectionObserver && item.target) {
+      this.intersectionObserver.observe(item.target);
+    }
+    this.scheduleUpdate();
+
+    return () => {
+      this.items.delete(item);
+      this._unobserve(item.target);
+      this._unobserve(item.tag);
+      if (!this.items.size) {
+        this._stop();
+      } else {
+        // other tags may now fit where they should be shown
+        this.scheduleUpdate();
+      }
+    };
+  };
+
+  /**
+   * Computes the position of the tags during the next animation frame.
+   */
+  scheduleUpdate = () => {
+    if (this.frameId === null) {
+      this.frameId = requestAnimationFrame(this.update);
+    }
+  };
+
+  /**
+   * Computes the position of the tags right away.
+   */
+  update = () => {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    // measure everything before notifying the tags, so the page is laid out only once
+    const items = [];
+    const tags = [];
+    this.items.forEach(item => {
+      const targetRect = item.target && item.intersecting && item.target.getBoundingClientRect();
+      // if width/height is 0 then the element is not visible so we should avoid showing the tag
+      if (!targetRect || targetRect.width === 0 || targetRect.height === 0) {
+        this._setPosition(item, null);
+        return;
+      }
+      const rect = item.anchor.getBoundingClientRect();
+      const {width, height} = item.tag.getBoundingClientRect();
+      items.push(item);
+      tags.push({top: rect.top + window.scrollY, left: rect.left + window.scrollX, width, height});
+    });
+
+    placeTags(tags).forEach((position, index) => {
+      this._setPosition(items[index], {...position, height: tags[index].height});
+    });
+  };
+
+  _setPosition = (item, position) => {
+    const current = item.position;
+    if (
+      current === position ||
+      (current &&
+        position &&
+        current.top === position.top &&
+        current.left === position.left &&
+        current.height === position.height)
+    ) {
+      return;
+    }
+    item.position = position;
+    item.onChange(position);
+  };
+
+  _start = () => {
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.scheduleUpdate);
+      // anything added to or removed from the page may move the anchors
+      this.resizeObserver.observe(document.body);
+    }
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(this._onIntersection, {
+        rootMargin: '200px',
+      });
+    }
+    // scroll events do not bubble, so we capture them to know about scrollable elements
+    window.addEventListener('scroll', this.scheduleUpdate, {capture: true, passive: true});
+    window.addEventListener('resize', this.scheduleUpdate);
+  };
+
+  _stop = () => {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    window.removeEventListener('scroll', this.scheduleUpdate, {capture: true});
+    window.removeEventListener('resize', this.scheduleUpdate);
+  };
+
+  _onIntersection = entries => {
+    entries.forEach(({target, isIntersecting}) => {
+      this.items.forEach(item => {
+        if (item.target === target) {
+          item.intersecting = isIntersecting;
+        }
+      });
+    });
+    this.scheduleUpdate();
+  };
+
+  _observe = node => {
+    if (node && this.resizeObserver) {
+      this.resizeObserver.observe(node);
+    }
+  };
+
+  _unobserve = node => {
+    // several anchors may share the same parent element
+    if (!node || [...this.items].some(item => item.target === node || item.tag === node)) {
+      return;
+    }
+    if (this.resizeObserver && node !== document.body) {
+      this.resizeObserver.unobserve(node);
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.unobserve(node);
+    }
+  };
+}
+
+export const tagLayout = new TagLayout();
@@ -0,0 +1,171 @@
+import {placeTags, TagLayout} from './layout';
+
+const createElement = rect => {
+  const parent = document.createElement('div');
+  const anchor = document.createElement('span');
+  parent.appendChild(anchor);
+  parent.getBoundingClientRect = () => rect;
+  anchor.getBoundingClientRect = () => rect;
+  return anchor;
+};
+
+const createTag = (width, height) => {
+  const tag = document.createElement('button');
+  tag.getBoundingClientRect = () => ({top: 0, left: 0, width, height});
+  return tag;
+};
+
+describe('Tests for placeTags', () => {
+  test('it should keep tags which do not overlap where they are', () => {
+    const tags = [
+      {top: 0, left: 0, width: 100, height: 20},
+      {top: 0, left: 150, width: 100, height: 20},
+      {top: 30, left: 0, width: 100, height: 20},
+    ];
+    expect(placeTags(tags)).toEqual([
+      {top: 0, left: 0},
+      {top: 0, left: 150},
+      {top: 30, left: 0},
+    ]);
+  });
+
+  test('it should move overlapping tags below each other', () => {
+    const tags = [
+      {top: 10, left: 50, width: 100, height: 20},
+      {top: 0, left: 0, width: 100, height: 20},
+      {top: 5, left: 120, width: 50, height: 25},
+    ];
+    expect(placeTags(tags)).toEqual([
+      {top: 30, left: 50},
+      {top: 0, left: 0},
+      {top: 5, left: 120},
+    ]);
+  });
+
+  test('it should place many tags at the same position in a column', () => {
+    const tags = Array.from({length: 500}, () => ({top: 0, left: 0, width: 300, height: 20}));
+    const positions = placeTags(tags);
+    expect(positions.map(({top}) => top)).toEqual(tags.map((tag, index) => index * 20));
+  });
+});
+
+describe('Tests for TagLayout', () => {
+  let layout;
+
+  beforeEach(() => {
+    layout = new TagLayout();
+  });
+
+  test('it should position the tags on the next animation frame', () => {
+    jest.spyOn(window, 'requestAnimationFrame').mockReturnValue(42);
+    const onChange = jest.fn();
+    layout.add(
+      createElement({top: 10, left: 20, width: 50, height: 50}),
+      createTag(80, 15),
+      onChange
+    );
+    layout.add(
+      createElement({top: 10, left: 40, width: 50, height: 50}),
+      createTag(80, 15),
+      onChange
+    );
+    expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+    expect(onChange).not.toHaveBeenCalled();
+
+    window.requestAnimationFrame.mock.calls[0][0]();
+    expect(onChange.mock.calls).toEqual([
+      [{top: 10, left: 20, height: 15}],
+      [{top: 25, left: 40, height: 15}],
+    ]);
+
+    // nothing moved, so the tags are not notified again
+    layout.update();
+    expect(onChange).toHaveBeenCalledTimes(2);
+    window.requestAnimationFrame.mockRestore();
+  });
+
+  test('it should hide the tags of invisible elements', () => {
+    const onChange = jest.fn();
+    layout.add(
+      createElement({top: 10, left: 20, width: 0, height: 0}),
+      createTag(80, 15),
+      onChange
+    );
+    layout.update();
+    // the tag is hidden from the beginning
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('it should make room for the other tags when a tag is removed', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const rect = {top: 10, left: 20, width: 50, height: 50};
+    const remove = layout.add(createElement(rect), createTag(80, 15), first);
+    layout.add(createElement(rect), createTag(80, 15), second);
+    layout.update();
+    expect(second).toHaveBeenLastCalledWith({top: 25, left: 20, height: 15});
+
+    remove();
+    layout.update();
+    expect(second).toHaveBeenLastCalledWith({top: 10, left: 20, height: 15});
+  });
+
+  test('it should only update on scroll while there are tags', () => {
+    const update = jest.spyOn(layout, 'scheduleUpdate');
+    const remove = layout.add(
+      createElement({top: 10, left: 20, width: 50, height: 50}),
+      createTag(80, 15),
+      () => {}
+    );
+    update.mockClear();
+
+    window.dispatchEvent(new Event('scroll'));
+    expect(update).toHaveBeenCalledTimes(1);
+
+    remove();
+    window.dispatchEvent(new Event('scroll'));
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  describe('with an IntersectionObserver', () => {
+    let observers;
+
+    beforeEach(() => {
+      observers = [];
+      window.IntersectionObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+          this.observe = jest.fn();
+          this.unobserve = jest.fn();
+          this.disconnect = jest.fn();
+          observers.push(this);
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete window.IntersectionObserver;
+    });
+
+    test('it should only show the tags of elements close to the viewport', () => {
+      const onChange = jest.fn();
+      const anchor = createElement({top: 10, left: 20, width: 50, height: 50});
+      const remove = layout.add(anchor, createTag(80, 15), onChange);
+      expect(observers[0].observe).toHaveBeenCalledWith(anchor.parentElement);
+
+      layout.update();
+      expect(onChange).not.toHaveBeenCalled();
+
+      observers[0].callback([{target: anchor.parentElement, isIntersecting: true}]);
+      layout.update();
+      expect(onChange).toHaveBeenLastCalledWith({top: 10, left: 20, height: 15});
+
+      observers[0].callback([{target: anchor.parentElement, isIntersecting: false}]);
+      layout.update();
+      expect(onChange).toHaveBeenLastCalledWith(null);
+
+      remove();
+      expect(observers[0].disconnect).toHaveBeenCalled();
+    });
+  });
+});
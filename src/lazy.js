@@ -0,0 +1,95 @@
+import React, {useEffect, useState} from 'react';
+import {getComponentName} from './registry';
+import {OverrideEntry} from './resolve';
+
+/**
+ * Entry whose component is only loaded when an overridable using it is rendered for the
+ * first time.
+ */
+export class LazyOverride extends OverrideEntry {
+  constructor(loader, {fallback, suspense = false} = {}) {
+    super();
+    this.loader = loader;
+    this.fallback = fallback;
+    this.suspense = suspense;
+    this.status = 'pending';
+    this.component = null;
+    this.promise = null;
+  }
+
+  /**
+   * Starts loading the component unless it is already being loaded.
+   * @returns a promise resolved once the component has been loaded (or failed to load)
+   */
+  load() {
+    if (!this.promise) {
+      this.promise = Promise.resolve()
+        .then(() => this.loader())
+        .then(
+          result => {
+            // support both modules with a default export and plain components
+            this.component = result && result.default ? result.default : result;
+            this.status = 'loaded';
+          },
+          error => {
+            this.status = 'failed';
+            console.error(
+              'react-overridable: failed to load an override, using the default',
+              error
+            );
+          }
+        );
+    }
+    return this.promise;
+  }
+
+  createComponent(Default) {
+    const entry = this;
+
+    const LazyOverridden = props => {
+      const [, setStatus] = useState(entry.status);
+
+      useEffect(() => {
+        let mounted = true;
+        // re-render once loaded, even if it happened between rendering and running this effect
+        entry.promise.then(() => mounted && setStatus(entry.status));
+        return () => {
+          mounted = false;
+        };
+      }, []);
+
+      if (entry.status === 'pending') {
+        const promise = entry.load();
+        if (entry.suspense) {
+          // let the closest `Suspense` boundary render its fallback
+          throw promise;
+        }
+      }
+
+      if (entry.status === 'loaded') {
+        return React.createElement(entry.component, props);
+      } else if (entry.status === 'pending' && entry.fallback !== undefined) {
+        return entry.fallback && React.createElement(entry.fallback, props);
+      }
+      return React.createElement(Default, props);
+    };
+
+    LazyOverridden.displayName = `LazyOverride(${getComponentName(Default)})`;
+    return LazyOverridden;
+  }
+}
+
+/**
+ * Creates an entry for a map of overridden components (or an `OverriddenComponentRepository`)
+ * whose component is loaded the first time it is needed, e.g. `() => import('./MyHeader')`.
+ * Until it is loaded, the default component is rendered; so it is if loading fails.
+ * @param loader function returning a promise resolved with the component or with a module
+ *  exporting it as `default`
+ * @param options object with a `fallback` component rendered instead of the default one (or
+ *  `null` to render nothing) while loading, and `suspense` to suspend rendering until the
+ *  component is loaded and let the closest `Suspense` boundary render its fallback instead
+ * @returns the map entry
+ */
+export function lazyOverride(loader, options) {
+  return new LazyOverride(loader, options);
+}
@@ -0,0 +1,124 @@
+import {mount} from 'enzyme';
+import React, {Suspense} from 'react';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import Overridable, {OverridableContext, lazyOverride} from '.'; // export from index.js to test it
+
+const Title = () => <h1>Default title</h1>;
+const OverridableTitle = Overridable.component('Title', Title);
+const NewTitle = () => <h2>Loaded title</h2>;
+const Loading = () => <p>Loading</p>;
+
+const mountWithOverrides = (overriddenCmps, element = <OverridableTitle />) =>
+  mount(
+    <OverridableContext.Provider value={overriddenCmps}>{element}</OverridableContext.Provider>
+  );
+
+// waits for the pending promises (i.e. the loaders) and re-renders
+const flush = mounted =>
+  Promise.resolve(act(() => new Promise(resolve => setTimeout(resolve)))).then(() =>
+    mounted.update()
+  );
+
+describe('Tests for lazy overrides', () => {
+  test('it should render the default cmp until the override is loaded', () => {
+    const mounted = mountWithOverrides({Title: lazyOverride(() => Promise.resolve(NewTitle))});
+    expect(mounted.find('h1').text()).toEqual('Default title');
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h1')).toHaveLength(0);
+      expect(mounted.find('h2').text()).toEqual('Loaded title');
+    });
+  });
+
+  test('it should support modules exporting the override as default', () => {
+    const mounted = mountWithOverrides({
+      Title: lazyOverride(() => Promise.resolve({default: NewTitle})),
+    });
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h2').text()).toEqual('Loaded title');
+    });
+  });
+
+  test('it should load the override only once', () => {
+    const loader = jest.fn(() => Promise.resolve(NewTitle));
+    const mounted = mountWithOverrides(
+      {Title: lazyOverride(loader)},
+      <>
+        <OverridableTitle />
+        <OverridableTitle />
+      </>
+    );
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h2')).toHaveLength(2);
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('it should render the fallback while loading', () => {
+    const mounted = mountWithOverrides({
+      Title: lazyOverride(() => Promise.resolve(NewTitle), {fallback: Loading}),
+    });
+    expect(mounted.find('h1')).toHaveLength(0);
+    expect(mounted.find('p').text()).toEqual('Loading');
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h2').text()).toEqual('Loaded title');
+    });
+  });
+
+  test('it should render the default cmp when loading fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const mounted = mountWithOverrides({
+      Title: lazyOverride(() => Promise.reject(new Error('Network error')), {fallback: Loading}),
+    });
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h1').text()).toEqual('Default title');
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  test('it should suspend rendering when requested', () => {
+    // enzyme cannot traverse suspended trees so we render to the DOM directly
+    const container = document.createElement('div');
+    act(() => {
+      ReactDOM.render(
+        <OverridableContext.Provider
+          value={{Title: lazyOverride(() => Promise.resolve(NewTitle), {suspense: true})}}
+        >
+          <Suspense fallback={<p>Suspended</p>}>
+            <OverridableTitle />
+          </Suspense>
+        </OverridableContext.Provider>,
+        container
+      );
+    });
+    expect(container.innerHTML).toEqual('<p>Suspended</p>');
+
+    return Promise.resolve(act(() => new Promise(resolve => setTimeout(resolve)))).then(() => {
+      expect(container.innerHTML).toEqual('<h2>Loaded title</h2>');
+      ReactDOM.unmountComponentAtNode(container);
+    });
+  });
+
+  test('it should lazily load the override of render elements', () => {
+    const NoTitle = () => (
+      <Overridable id="NoTitle.container">
+        <h1>Default title</h1>
+      </Overridable>
+    );
+    const mounted = mountWithOverrides(
+      {'NoTitle.container': lazyOverride(() => Promise.resolve(NewTitle))},
+      <NoTitle />
+    );
+    expect(mounted.find('h1').text()).toEqual('Default title');
+
+    return flush(mounted).then(() => {
+      expect(mounted.find('h2').text()).toEqual('Loaded title');
+    });
+  });
+});
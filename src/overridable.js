@@ -1,10 +1,154 @@
-import React, {useContext} from 'react';
+import React, {useContext, useEffect, useMemo} from 'react';
 import PropTypes from 'prop-types';
-import {DevModeWrapper} from './dev';
+import {OverrideErrorBoundary} from './boundary';
+import {declareContract} from './contracts';
+import {DevModeWrapper, useDevModeTag, useIsOverrideDisabled, useIsPreview} from './dev';
+import {getComponentName, overridableRegistry} from './registry';
+import {getOverride, resolveComponent, selectEntry, PropsOverride} from './resolve';
+import {checkContract, warnAboutProblems} from './validate';
 
 // create a new context with an empty map of overridden components as default value.
 export const OverridableContext = React.createContext({});
 
+// options set by the closest `OverridableProvider`
+export const OverridableOptionsContext = React.createContext({
+  catchErrors: false,
+  onOverrideError: null,
+  onResolve: null,
+  onRender: null,
+  env: {},
+});
+
+// the ids of the overridables the current component is rendered in, from the outermost one
+const OverridablePathContext = React.createContext([]);
+
+// the original children of the closest `Overridable`, used to render them inside a wrapper
+const DefaultChildContext = React.createContext(null);
+
+/**
+ * Component rendering the original children of the closest `Overridable`. This is the
+ * original component received by wrappers of an `Overridable` id, so the props it gets
+ * are ignored and the children are rendered as they are.
+ */
+function DefaultChild() {
+  return useContext(DefaultChildContext);
+}
+
+/**
+ * Returns the entry of the map of overridden components to use for an id, evaluating the
+ * conditions of conditional overrides with the props and the environment.
+ *
+ * An id with a contract can also be overridden with one of its deprecated aliases, in which
+ * case, as well as when the override was written for another version of the contract or
+ * the props do not match it, a warning is logged once in development.
+ */
+function useOverrideEntry(id, props, contract = null) {
+  const overriddenComponents = useContext(OverridableContext);
+  const {env} = useContext(OverridableOptionsContext);
+  // an override of the id itself (even `USE_DEFAULT`) takes precedence over the aliases
+  const alias =
+    contract && !(id in overriddenComponents)
+      ? contract.aliases.find(a => getOverride(overriddenComponents, a) !== undefined)
+      : undefined;
+  const entry = selectEntry(getOverride(overriddenComponents, alias || id), props, env);
+  // checked after rendering, and only again when the contract (which may be declared inline),
+  // the override or the names of the props change
+  const contractKey = contract && `${contract.id}@${contract.version}`;
+  const propNames = Object.keys(props).sort().join();
+  useEffect(() => {
+    if (contract && process.env.NODE_ENV !== 'production') {
+      warnAboutProblems(checkContract(contract, {alias, override: entry, props}));
+    }
+  }, [contractKey, alias, entry, propNames]);
+  return entry;
+}
+
+/**
+ * Records the rendered overridable in the registry of overridable ids and reports it to the
+ * `onResolve` option, unless it is only rendered in the comparison of diff mode.
+ */
+function useRegistration(id, info) {
+  const {onResolve} = useContext(OverridableOptionsContext);
+  if (useIsPreview()) {
+    id = null;
+  }
+
+  useEffect(() => {
+    if (!id) {
+      return;
+    }
+    overridableRegistry.mount(id);
+    return () => overridableRegistry.unmount(id);
+  }, [id]);
+
+  useEffect(() => {
+    if (!id) {
+      return;
+    }
+    overridableRegistry.update(id, info);
+    if (onResolve) {
+      const overridden = !!info.override && !info.disabled;
+      onResolve(id, {
+        type: info.type,
+        overridden,
+        component: overridden ? info.override : info.defaultComponent,
+      });
+    }
+  });
+}
+
+/**
+ * Returns the callback of the `React.Profiler` measuring how long an overridable takes to
+ * render, which reports it to the `onRender` option and to the registry of overridable ids,
+ * or `null` if the option is not set.
+ */
+function useProfilerCallback(id, overridden) {
+  const {onRender} = useContext(OverridableOptionsContext);
+  const isPreview = useIsPreview();
+  if (!onRender || !id || isPreview) {
+    return null;
+  }
+  return (profilerId, phase, actualDuration) => {
+    overridableRegistry.addRenderDuration(id, actualDuration);
+    onRender(id, actualDuration, {phase, overridden});
+  };
+}
+
+/**
+ * Wraps the element rendered by an overridable in a `React.Profiler`, unless it should not
+ * be profiled.
+ */
+function profileElement(element, id, onProfilerRender) {
+  if (!onProfilerRender) {
+    return element;
+  }
+  return (
+    <React.Profiler id={id} onRender={onProfilerRender}>
+      {element}
+    </React.Profiler>
+  );
+}
+
+/**
+ * Wraps the element rendering an override in an error boundary rendering the default
+ * instead if the override throws, unless errors should not be caught.
+ */
+function protectOverride(element, id, Overridden, fallback, options) {
+  if (!options.catchErrors) {
+    return element;
+  }
+  return (
+    <OverrideErrorBoundary
+      id={id}
+      override={Overridden}
+      fallback={fallback}
+      onError={options.onOverrideError}
+    >
+      {element}
+    </OverrideErrorBoundary>
+  );
+}
+
 /**
  * Function to wrap a React component and override default props.
  * @param Component the component to wrap
@@ -12,20 +156,16 @@ export const OverridableContext = React.createContext({});
  * @returns the wrapper component
  */
 export function parametrize(Component, extraProps) {
-  const ParametrizedComponent = props => {
-    // handle deferred prop calculation
-    if (typeof extraProps === 'function') {
-      extraProps = extraProps(props);
-    }
+  // Render the original component instead of an overridable one
+  const Original = Component.originalComponent || Component;
 
-    // Store the original component in an attribute
-    if (Component.originalComponent) {
-      Component = Component.originalComponent;
-    }
+  const ParametrizedComponent = props => {
+    // handle deferred prop calculation, for every render
+    const newProps = typeof extraProps === 'function' ? extraProps(props) : extraProps;
 
-    // overrideProps override props if there is a name collision
-    const {children, ...attrProps} = {...props, ...extraProps};
-    return React.createElement(Component, attrProps, children);
+    // extraProps override props if there is a name collision
+    const {children, ...attrProps} = {...props, ...newProps};
+    return React.createElement(Original, attrProps, children);
   };
 
   const name = Component.displayName || Component.name;
@@ -34,47 +174,207 @@ export function parametrize(Component, extraProps) {
 }
 
 /**
- * React component to enable overriding children when rendering.
+ * Resolves the override of an `Overridable` id and returns what to render: the override,
+ * receiving `props`, or the default `child` as it is.
  */
-function Overridable({id, children, ...restProps}) {
-  const overriddenComponents = useContext(OverridableContext);
-  const child = children ? React.Children.only(children) : null;
-  const childProps = child ? child.props : {};
+function useOverridableElement(id, child, props, contract = null) {
+  const entry = useOverrideEntry(id, props, contract);
+  const options = useContext(OverridableOptionsContext);
+  const parentPath = useContext(OverridablePathContext);
+  const disabled = useIsOverrideDisabled(id);
+  const path = useMemo(() => [...parentPath, id], [parentPath, id]);
 
-  if (id in overriddenComponents) {
+  if (entry instanceof PropsOverride && child && !disabled) {
+    // the original children ignore the props they get, so we patch their own props
+    child = React.cloneElement(child, entry.apply(child.props));
+  }
+  const override = resolveComponent(entry, DefaultChild);
+  const Overridden = disabled ? undefined : override;
+  const info = {
+    type: 'element',
+    defaultComponent: child ? child.type : null,
+    override,
+    disabled,
+    props,
+    path,
+  };
+  useRegistration(id, info);
+  const onProfilerRender = useProfilerCallback(id, !!Overridden);
+
+  const renderOverride = Override => (
+    <DefaultChildContext.Provider value={child}>
+      {protectOverride(React.createElement(Override, props), id, Override, child, options)}
+    </DefaultChildContext.Provider>
+  );
+  const withPath = content => (
+    <OverridablePathContext.Provider value={path}>{content}</OverridablePathContext.Provider>
+  );
+
+  let element;
+  if (Overridden) {
     // If there's an override, we replace the component's content with the override + props
-    const Overridden = overriddenComponents[id];
-    const element = React.createElement(Overridden, {...childProps, ...restProps});
-    return <DevModeWrapper id={id}>{element}</DevModeWrapper>;
+    element = renderOverride(Overridden);
   } else if (child) {
     // No override? Clone the Overridable component's original children
-    const element = React.cloneElement(child, childProps);
-    return <DevModeWrapper id={id}>{element}</DevModeWrapper>;
+    element = React.cloneElement(child, child.props);
   } else {
     return null;
   }
+
+  // elements compared in diff mode, even if the override is disabled
+  const getPreview =
+    override &&
+    (() => ({
+      defaultElement: child && withPath(child),
+      overrideElement: withPath(renderOverride(override)),
+    }));
+  return (
+    <DevModeWrapper id={id} info={info} getPreview={getPreview}>
+      {profileElement(withPath(element), id, onProfilerRender)}
+    </DevModeWrapper>
+  );
 }
 
+/**
+ * A slot of an `Overridable`, which can be overridden on its own with the id
+ * `<id of the Overridable>.<name of the slot>`.
+ */
+function OverridableSlot({id, content, props}) {
+  const child =
+    content === null || React.isValidElement(content)
+      ? content
+      : React.createElement(React.Fragment, null, content);
+  return useOverridableElement(id, child, child ? {...child.props, ...props} : props);
+}
+
+OverridableSlot.propTypes = {
+  id: PropTypes.string.isRequired,
+  content: PropTypes.node,
+  props: PropTypes.object.isRequired,
+};
+
+OverridableSlot.defaultProps = {
+  content: null,
+};
+
+/**
+ * React component to enable overriding children when rendering.
+ *
+ * Instead of a single child, it can also get named `slots`, which are rendered by the
+ * `children` render function (or one after the other). Each slot can then be overridden
+ * on its own, and its override receives the default content of all the slots as `slots`.
+ * An override of the whole `Overridable` receives the slots as they are rendered, i.e. with
+ * their own overrides, as `slots`.
+ */
+function Overridable({id, slots, contract, children, ...restProps}) {
+  const declaredContract = useMemo(() => contract && declareContract(id, contract), [id, contract]);
+  let child, props;
+  if (slots) {
+    const renderedSlots = Object.fromEntries(
+      Object.entries(slots).map(([name, content]) => [
+        name,
+        <OverridableSlot
+          key={name}
+          id={`${id}.${name}`}
+          content={content}
+          props={{...restProps, slots}}
+        />,
+      ])
+    );
+    child = React.createElement(
+      React.Fragment,
+      null,
+      typeof children === 'function' ? children(renderedSlots) : Object.values(renderedSlots)
+    );
+    props = {...restProps, slots: renderedSlots};
+  } else {
+    child = children ? React.Children.only(children) : null;
+    props = {...(child ? child.props : {}), ...restProps};
+  }
+  return useOverridableElement(id, child, props, declaredContract);
+}
+
+const contractPropType = PropTypes.shape({
+  version: PropTypes.number,
+  aliases: PropTypes.arrayOf(PropTypes.string),
+  props: PropTypes.objectOf(PropTypes.func),
+});
+
 Overridable.propTypes = {
-  /** The children of the component */
-  children: PropTypes.node,
+  /** The children of the component, or a function rendering the slots */
+  children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
   /** The id that the component will be bound to (normally component's name) */
   id: PropTypes.string,
+  /** The default content of the slots which can be overridden on their own */
+  slots: PropTypes.objectOf(PropTypes.node),
+  /**
+   * The contract of the id: its `version`, its deprecated `aliases` and the prop types of the
+   * `props` passed to its overrides (see `declareContract`)
+   */
+  contract: contractPropType,
 };
 
 Overridable.defaultProps = {
   id: null,
   children: null,
+  slots: null,
+  contract: null,
 };
 
 /**
  * High-order component to override an existing React component and provide a new component instead.
+ * The `contract` of the id can be given as well, see the `contract` of `Overridable`.
  */
-Overridable.component = (id, Component) => {
+Overridable.component = (id, Component, contract = null) => {
+  const declaredContract = contract && declareContract(id, contract);
   const Overridden = ({children, ...props}) => {
-    const overriddenComponents = useContext(OverridableContext);
-    const overriddenComponent = overriddenComponents[id];
-    return React.createElement(overriddenComponent || Component, props, children);
+    const entry = useOverrideEntry(id, {...props, children}, declaredContract);
+    const options = useContext(OverridableOptionsContext);
+    const parentPath = useContext(OverridablePathContext);
+    const disabled = useIsOverrideDisabled(id);
+    const path = useMemo(() => [...parentPath, id], [parentPath]);
+    const override = resolveComponent(entry, Component);
+    const overriddenComponent = disabled ? undefined : override;
+    const info = {
+      type: 'component',
+      defaultComponent: Component,
+      override,
+      disabled,
+      props: {...props, children},
+      path,
+    };
+    useRegistration(id, info);
+    const onProfilerRender = useProfilerCallback(id, !!overriddenComponent);
+
+    const defaultElement = React.createElement(Component, props, children);
+    const renderOverride = Override =>
+      protectOverride(
+        React.createElement(Override, props, children),
+        id,
+        Override,
+        defaultElement,
+        options
+      );
+    const withPath = content => (
+      <OverridablePathContext.Provider value={path}>{content}</OverridablePathContext.Provider>
+    );
+
+    const element = overriddenComponent ? renderOverride(overriddenComponent) : defaultElement;
+    // elements compared in diff mode, even if the override is disabled
+    const getPreview =
+      override &&
+      (() => ({
+        defaultElement: withPath(defaultElement),
+        overrideElement: withPath(renderOverride(override)),
+      }));
+    // the tag is rendered next to the element instead of wrapping it, to keep the tree as is
+    const tag = useDevModeTag(id, info, getPreview);
+    return (
+      <>
+        {tag}
+        {profileElement(withPath(element), id, onProfilerRender)}
+      </>
+    );
   };
   Overridden.propTypes = {
     children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
@@ -82,10 +382,66 @@ Overridable.component = (id, Component) => {
   Overridden.defaultProps = {
     children: null,
   };
-  const name = Component.displayName || Component.name;
-  Overridden.displayName = `Overridable(${name})`;
+  Overridden.displayName = `Overridable(${getComponentName(Component)})`;
   Overridden.originalComponent = Component;
   return Overridden;
 };
 
+/**
+ * Hook returning the component to render for an id: its override if it is overridden,
+ * the default component otherwise.
+ * @param id the id of the overridable
+ * @param Default the default component
+ * @param props the props used to evaluate the conditions of conditional overrides
+ */
+export function useOverride(id, Default, props = {}) {
+  const entry = useOverrideEntry(id, props);
+  const parentPath = useContext(OverridablePathContext);
+  const disabled = useIsOverrideDisabled(id);
+  const path = useMemo(() => [...parentPath, id], [parentPath, id]);
+  const override = resolveComponent(entry, Default);
+  useRegistration(id, {
+    type: 'hook',
+    defaultComponent: Default,
+    override,
+    disabled,
+    props,
+    path,
+  });
+  return (!disabled && override) || Default;
+}
+
+/**
+ * Hook returning true if an id is overridden, false otherwise.
+ * @param id the id of the overridable
+ * @param props the props used to evaluate the conditions of conditional overrides
+ */
+export function useIsOverridden(id, props = {}) {
+  const entry = useOverrideEntry(id, props);
+  const disabled = useIsOverrideDisabled(id);
+  return !disabled && entry !== undefined;
+}
+
+/**
+ * Hook returning the props for an id, as changed by the entries created with `overrideProps`
+ * for this id. The props are returned as they are if the id has no such entry.
+ * @param id the id of the overridable
+ * @param props the default props
+ */
+export function useOverridableProps(id, props) {
+  const entry = useOverrideEntry(id, props);
+  const parentPath = useContext(OverridablePathContext);
+  const disabled = useIsOverrideDisabled(id);
+  const path = useMemo(() => [...parentPath, id], [parentPath, id]);
+  useRegistration(id, {
+    type: 'props',
+    defaultComponent: null,
+    override: null,
+    disabled,
+    props,
+    path,
+  });
+  return entry instanceof PropsOverride && !disabled ? entry.apply(props) : props;
+}
+
 export default Overridable;
@@ -1,7 +1,18 @@
 import {mount} from 'enzyme';
 import PropTypes from 'prop-types';
 import React, {Component} from 'react';
-import Overridable, {parametrize, OverridableContext} from '.'; // export from index.js to test it
+import Overridable, {
+  lazyOverride,
+  overrideProps,
+  parametrize,
+  useIsOverridden,
+  useOverridableProps,
+  useOverride,
+  wrap,
+  OverridableContext,
+  OverridableProvider,
+  USE_DEFAULT,
+} from '.'; // export from index.js to test it
 
 class ExampleComponent extends Component {
   static propTypes = {
@@ -127,6 +138,29 @@ describe('Tests for parametrized', () => {
     const children = ExampleCmp.find('p').children();
     expect(children).toHaveLength(1);
   });
+
+  test('it should compute the new props for every render and instance', () => {
+    const parametrized = parametrize(OverridableExampleComponent, ({title}) => ({
+      title: `Other ${title}`,
+    }));
+    const overriddenCmps = {ExampleComponent: parametrized};
+
+    const mounted = mount(
+      <OverridableContext.Provider value={overriddenCmps}>
+        <OverridableExampleComponent title="TODOs" />
+        <OverridableExampleComponent title="Notes" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('div').map(div => div.text())).toEqual(['Other TODOs', 'Other Notes']);
+
+    mounted.setProps({
+      children: [
+        <OverridableExampleComponent key="1" title="Changed" />,
+        <OverridableExampleComponent key="2" title="Notes" />,
+      ],
+    });
+    expect(mounted.find('div').map(div => div.text())).toEqual(['Other Changed', 'Other Notes']);
+  });
 });
 
 describe('Tests for Overridable render elements', () => {
@@ -221,3 +255,392 @@ describe('Tests for Overridable.component', () => {
     expect(NewCmp.find('ul')).toHaveLength(0);
   });
 });
+
+describe('Tests for wrappers', () => {
+  const withBadge = Original => {
+    const WithBadge = props => (
+      <>
+        <span className="badge">New</span>
+        <Original {...props} />
+      </>
+    );
+    return WithBadge;
+  };
+
+  const withBorder = Original => {
+    const WithBorder = props => (
+      <section>
+        <Original {...props} />
+      </section>
+    );
+    return WithBorder;
+  };
+
+  test('it should wrap the default cmp with id `ExampleComponent`', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{ExampleComponent: wrap(withBadge)}}>
+        <OverridableExampleComponent title="TODOs" color="red" />
+      </OverridableContext.Provider>
+    );
+
+    expect(mounted.find('.badge').text()).toEqual('New');
+    assertTitleStyle(mounted.find('div'), 'TODOs', {color: 'red'});
+  });
+
+  test('it should wrap the default render elements with id `ExampleComponent.container`', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'ExampleComponent.container': wrap(withBadge)}}>
+        <OverridableExampleComponent title="TODOs" color="red">
+          <p>This should be rendered</p>
+        </OverridableExampleComponent>
+      </OverridableContext.Provider>
+    );
+
+    expect(mounted.find('.badge').text()).toEqual('New');
+    assertTitleStyle(mounted.find('div'), 'TODOs', {color: 'red'});
+    expect(mounted.find('p')).toHaveLength(1);
+  });
+
+  test('it should compose several wrappers in order', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{ExampleComponent: wrap(withBadge, withBorder)}}>
+        <OverridableExampleComponent title="TODOs" />
+      </OverridableContext.Provider>
+    );
+
+    // the first wrapper is the innermost one
+    expect(mounted.find('section').childAt(0).find('.badge')).toHaveLength(1);
+  });
+
+  test('it should wrap the override of a parent provider', () => {
+    const NewComponent = () => <h3>New component</h3>;
+    const mounted = mount(
+      <OverridableProvider value={{ExampleComponent: NewComponent}}>
+        <OverridableProvider value={{ExampleComponent: wrap(withBorder)}}>
+          <OverridableExampleComponent title="TODOs" />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('section h3').text()).toEqual('New component');
+    expect(mounted.find('div')).toHaveLength(0);
+  });
+
+  test('it should keep the state of the wrapped cmp across renders', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{ExampleComponent: wrap(withBorder)}}>
+        <OverridableExampleComponent title="TODOs" />
+      </OverridableContext.Provider>
+    );
+    const instance = mounted.find(ExampleComponent).instance();
+
+    mounted.setProps({children: <OverridableExampleComponent title="Changed" />});
+    expect(mounted.find(ExampleComponent).instance()).toBe(instance);
+  });
+});
+
+describe('Tests for id patterns', () => {
+  test('it should render the cmp matching a pattern instead of the default render elements', () => {
+    const NewContainer = ({cmpTitle}) => <h2>{cmpTitle}</h2>; // eslint-disable-line react/prop-types
+    const overriddenCmps = {'*.container': NewContainer};
+
+    const mounted = mount(
+      <OverridableContext.Provider value={overriddenCmps}>
+        <OverridableExampleComponent title="My TODOs" />
+      </OverridableContext.Provider>
+    );
+
+    expect(mounted.find('h2').text()).toEqual('My TODOs');
+    expect(mounted.find('div')).toHaveLength(0);
+  });
+});
+
+describe('Tests for slots', () => {
+  const Card = ({title}) => (
+    <Overridable
+      id="Card"
+      title={title}
+      slots={{
+        header: <h1 className="header">{title}</h1>,
+        body: <p>Default body</p>,
+        footer: 'Default footer',
+      }}
+    >
+      {({header, body, footer}) => (
+        <div className="card">
+          {header}
+          {body}
+          <small>{footer}</small>
+        </div>
+      )}
+    </Overridable>
+  );
+  Card.propTypes = {title: PropTypes.string.isRequired};
+
+  test('it should render the default slots with the render function', () => {
+    const mounted = mount(<Card title="My card" />);
+    expect(mounted.find('.card h1').text()).toEqual('My card');
+    expect(mounted.find('.card p').text()).toEqual('Default body');
+    expect(mounted.find('.card small').text()).toEqual('Default footer');
+  });
+
+  test('it should render the slots one after the other without a render function', () => {
+    const mounted = mount(
+      <Overridable id="Card" slots={{header: <h1>Header</h1>, body: 'Body'}} />
+    );
+    expect(mounted.text()).toEqual('HeaderBody');
+  });
+
+  test('it should override a single slot and give it the default content of the slots', () => {
+    const NewHeader = ({title, className, slots}) => (
+      <header className={className}>
+        <h2>{title}</h2>
+        {slots.body}
+      </header>
+    );
+    NewHeader.propTypes = {
+      title: PropTypes.string.isRequired,
+      className: PropTypes.string.isRequired,
+      slots: PropTypes.objectOf(PropTypes.node).isRequired,
+    };
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Card.header': NewHeader}}>
+        <Card title="My card" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('.card h1')).toHaveLength(0);
+    expect(mounted.find('.card header.header h2').text()).toEqual('My card');
+    expect(mounted.find('.card header p').text()).toEqual('Default body');
+    expect(mounted.find('p')).toHaveLength(2);
+    expect(mounted.find('.card small').text()).toEqual('Default footer');
+  });
+
+  test('it should give the rendered slots to the override of the whole cmp', () => {
+    const NewCard = ({slots}) => (
+      <section>
+        {slots.body}
+        {slots.header}
+      </section>
+    );
+    NewCard.propTypes = {slots: PropTypes.objectOf(PropTypes.node).isRequired};
+    NewCard.propTypes = {slots: PropTypes.objectOf(PropTypes.node).isRequired};
+    const NewBody = () => <p>New body</p>;
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Card': NewCard, 'Card.body': NewBody}}>
+        <Card title="My card" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('.card')).toHaveLength(0);
+    expect(mounted.find('section').text()).toEqual('New bodyMy card');
+  });
+});
+
+describe('Tests for hooks', () => {
+  const DefaultButton = ({label}) => <button type="button">{label}</button>;
+  DefaultButton.propTypes = {label: PropTypes.string.isRequired};
+  const NewButton = ({label}) => <a href="#new">{label}</a>;
+  NewButton.propTypes = {label: PropTypes.string.isRequired};
+
+  const Toolbar = () => {
+    const Button = useOverride('Toolbar.button', DefaultButton);
+    const overridden = useIsOverridden('Toolbar.button');
+    return (
+      <div className={overridden ? 'custom' : 'default'}>
+        <Button label="Save" />
+      </div>
+    );
+  };
+
+  test('it should return the default cmp if the id is not overridden', () => {
+    const mounted = mount(<Toolbar />);
+    expect(mounted.find('div.default button').text()).toEqual('Save');
+  });
+
+  test('it should return the override of the id', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Toolbar.*': NewButton}}>
+        <Toolbar />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('div.custom a').text()).toEqual('Save');
+    expect(mounted.find('button')).toHaveLength(0);
+  });
+
+  test('it should not consider an id explicitly using the default as overridden', () => {
+    const mounted = mount(
+      <OverridableProvider value={{'Toolbar.button': NewButton}}>
+        <OverridableProvider value={{'Toolbar.button': USE_DEFAULT}}>
+          <Toolbar />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('div.default button').text()).toEqual('Save');
+  });
+
+  test('it should return the props changed by the entry of the id', () => {
+    const Link = props => {
+      const {href, className} = useOverridableProps('Link', props);
+      return <a href={href} className={className} />;
+    };
+    const mounted = mount(
+      <OverridableContext.Provider value={{Link: overrideProps({className: 'external'})}}>
+        <Link href="#link" />
+        <Link href="#other" className="ignored" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('a').map(a => [a.prop('href'), a.prop('className')])).toEqual([
+      ['#link', 'external'],
+      ['#other', 'ignored external'],
+    ]);
+  });
+});
+
+describe('Tests for host element defaults', () => {
+  const Icon = ({name}) => {
+    const IconElement = useOverride('Icon', 'i');
+    return <IconElement className={name} />;
+  };
+
+  Icon.propTypes = {
+    name: PropTypes.string.isRequired,
+  };
+
+  const withTitle = Original => {
+    const WithTitle = props => <Original {...props} title="Icon" />;
+    return WithTitle;
+  };
+
+  test('it should resolve entries for a host element returned by a hook', () => {
+    const mountIcon = entry =>
+      mount(
+        <OverridableContext.Provider value={{Icon: entry}}>
+          <Icon name="home" />
+        </OverridableContext.Provider>
+      );
+
+    expect(mountIcon(overrideProps({id: 'icon'})).html()).toBe('<i class="home" id="icon"></i>');
+    expect(mountIcon(wrap(withTitle)).html()).toBe('<i class="home" title="Icon"></i>');
+    expect(mountIcon(lazyOverride(() => new Promise(() => {}))).html()).toBe(
+      '<i class="home"></i>'
+    );
+  });
+
+  test('it should resolve entries for a host element made overridable', () => {
+    const OverridableSection = Overridable.component('Section', 'section');
+    expect(OverridableSection.displayName).toBe('Overridable(section)');
+
+    const mounted = mount(
+      <OverridableContext.Provider value={{Section: {className: 'highlighted'}}}>
+        <OverridableSection>Content</OverridableSection>
+      </OverridableContext.Provider>
+    );
+    expect(mounted.html()).toBe('<section class="highlighted">Content</section>');
+  });
+});
+
+describe('Tests for conditional overrides', () => {
+  const AdminContainer = ({cmpTitle}) => <h2>Admin: {cmpTitle}</h2>; // eslint-disable-line react/prop-types
+  const RedContainer = ({cmpTitle}) => <h3>Red: {cmpTitle}</h3>; // eslint-disable-line react/prop-types
+  const isAdmin = (props, env) => env.role === 'admin';
+  const isRed = props => props.cmpColor === 'red';
+
+  test('it should choose the override based on the environment', () => {
+    const overriddenCmps = {
+      'ExampleComponent.container': [{when: isAdmin, component: AdminContainer}],
+    };
+    const mounted = mount(
+      <OverridableProvider value={overriddenCmps} env={{role: 'admin'}}>
+        <OverridableExampleComponent title="TODOs" />
+      </OverridableProvider>
+    );
+    expect(mounted.find('h2').text()).toEqual('Admin: TODOs');
+
+    mounted.setProps({env: {role: 'user'}});
+    expect(mounted.find('h2')).toHaveLength(0);
+    expect(mounted.find('div').text()).toEqual('TODOs');
+  });
+
+  test('it should choose the override based on the props and use the first rule met', () => {
+    const overriddenCmps = {
+      'ExampleComponent.container': [
+        {when: isRed, component: RedContainer},
+        {when: isAdmin, component: AdminContainer},
+      ],
+    };
+    const mounted = mount(
+      <OverridableProvider value={overriddenCmps} env={{role: 'admin'}}>
+        <OverridableExampleComponent title="TODOs" color="red" />
+        <OverridableExampleComponent title="Notes" color="green" />
+      </OverridableProvider>
+    );
+    expect(mounted.find('h3').text()).toEqual('Red: TODOs');
+    expect(mounted.find('h2').text()).toEqual('Admin: Notes');
+  });
+
+  test('it should use the override of the parent provider if no condition is met', () => {
+    const mounted = mount(
+      <OverridableProvider
+        value={{'ExampleComponent.container': RedContainer}}
+        env={{locale: 'en'}}
+      >
+        <OverridableProvider
+          value={{
+            'ExampleComponent.container': [
+              {when: isAdmin, component: AdminContainer},
+              {when: (props, env) => env.locale === 'fr', component: USE_DEFAULT},
+            ],
+          }}
+          env={{role: 'user'}}
+        >
+          <OverridableExampleComponent title="TODOs" />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('h3').text()).toEqual('Red: TODOs');
+
+    mounted.setProps({env: {locale: 'fr'}});
+    expect(mounted.find('h3')).toHaveLength(0);
+    expect(mounted.find('div').text()).toEqual('TODOs');
+  });
+
+  test('it should choose the override of a component and of the hooks', () => {
+    const NewComponent = ({title}) => <h4>{title}</h4>; // eslint-disable-line react/prop-types
+    const rules = [{when: ({title}) => title.startsWith('New'), component: NewComponent}];
+    const Hooks = () => {
+      const overridden = useIsOverridden('ExampleComponent', {title: 'New hook'});
+      return <span>{overridden ? 'overridden' : 'default'}</span>;
+    };
+    const mounted = mount(
+      <OverridableProvider value={{ExampleComponent: rules}}>
+        <OverridableExampleComponent title="New TODOs" />
+        <OverridableExampleComponent title="Old TODOs" />
+        <Hooks />
+      </OverridableProvider>
+    );
+    expect(mounted.find('h4').text()).toEqual('New TODOs');
+    expect(mounted.find('div').text()).toEqual('Old TODOs');
+    expect(mounted.find('span').text()).toEqual('overridden');
+  });
+
+  test('it should wrap the override chosen by a parent provider', () => {
+    const withBorder = Original => {
+      const WithBorder = props => (
+        <section>
+          <Original {...props} />
+        </section>
+      );
+      return WithBorder;
+    };
+    const mounted = mount(
+      <OverridableProvider
+        value={{'ExampleComponent.container': [{when: isAdmin, component: AdminContainer}]}}
+        env={{role: 'admin'}}
+      >
+        <OverridableProvider value={{'ExampleComponent.container': wrap(withBorder)}}>
+          <OverridableExampleComponent title="TODOs" />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('section h2').text()).toEqual('Admin: TODOs');
+  });
+});
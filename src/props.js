@@ -0,0 +1,48 @@
+/**
+ * Merges class names, ignoring empty ones.
+ * @param classNames the class names to merge, in order
+ */
+function mergeClassNames(...classNames) {
+  return classNames.filter(Boolean).join(' ');
+}
+
+// Props which are merged with the original value instead of replacing it.
+const mergeStrategies = {
+  className: (value, patched) => mergeClassNames(value, patched),
+  style: (value, patched) => ({...value, ...patched}),
+};
+
+/**
+ * Applies a patch of props: `className` is added to the original class names, `style` is
+ * merged with the original style and all the other props replace the original ones.
+ * @param props the original props
+ * @param patch the props to add or replace, or a function receiving the original props and
+ *  returning the new ones
+ * @returns the new props
+ */
+export function mergeProps(props, patch) {
+  if (typeof patch === 'function') {
+    return patch(props);
+  }
+  const merged = {...props};
+  Object.entries(patch).forEach(([name, value]) => {
+    const strategy = mergeStrategies[name];
+    merged[name] = strategy && props[name] ? strategy(props[name], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Checks whether an entry of a map of overridden components is a plain object of props to
+ * patch rather than a component, e.g. `{className: 'big'}`.
+ * @param entry the entry of the map
+ */
+export function isPropsPatch(entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    Object.getPrototypeOf(entry) === Object.prototype &&
+    // components created by `React.memo` or `React.forwardRef` are plain objects as well
+    !('$$typeof' in entry)
+  );
+}
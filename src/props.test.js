@@ -0,0 +1,172 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Overridable, {
+  mergeProps,
+  overrideProps,
+  wrap,
+  OverridableContext,
+  OverridableProvider,
+} from '.'; // export from index.js to test it
+
+const Title = ({title, size}) => <h1 className={size}>{title}</h1>;
+Title.propTypes = {title: PropTypes.string.isRequired, size: PropTypes.string};
+Title.defaultProps = {size: 'small'};
+
+const OverridableTitle = Overridable.component('Title', Title);
+
+describe('Tests for props overrides', () => {
+  test('it should change the props of the default cmp', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: overrideProps({size: 'big'})}}>
+        <OverridableTitle title="My title" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('h1').prop('className')).toEqual('big');
+    expect(mounted.find('h1').text()).toEqual('My title');
+  });
+
+  test('it should transform the props with a function', () => {
+    const upperCase = props => ({...props, title: props.title.toUpperCase()});
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: overrideProps(upperCase)}}>
+        <OverridableTitle title="My title" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('h1').text()).toEqual('MY TITLE');
+  });
+
+  test('it should change the props of the children of an Overridable', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{'Title.container': overrideProps({className: 'big'})}}>
+        <Overridable id="Title.container" title="Ignored">
+          <h1 className="small">My title</h1>
+        </Overridable>
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('h1').prop('className')).toEqual('small big');
+    expect(mounted.find('h1').prop('title')).toBeUndefined();
+  });
+
+  test('it should change the props of the override set by a parent provider', () => {
+    const NewTitle = ({title, size}) => <h2 className={size}>{title}</h2>; // eslint-disable-line react/prop-types
+    const mounted = mount(
+      <OverridableProvider value={{Title: NewTitle}}>
+        <OverridableProvider value={{Title: overrideProps({size: 'big'})}}>
+          <OverridableProvider value={{Title: overrideProps(props => ({...props, title: 'New'}))}}>
+            <OverridableTitle title="My title" />
+          </OverridableProvider>
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('h2').prop('className')).toEqual('big');
+    expect(mounted.find('h2').text()).toEqual('New');
+  });
+
+  test('it should be wrapped by wrappers', () => {
+    const withBorder = Original => {
+      const WithBorder = props => (
+        <section>
+          <Original {...props} />
+        </section>
+      );
+      return WithBorder;
+    };
+    const mounted = mount(
+      <OverridableProvider value={{Title: overrideProps({size: 'big'})}}>
+        <OverridableProvider value={{Title: wrap(withBorder)}}>
+          <OverridableTitle title="My title" />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('section h1').prop('className')).toEqual('big');
+  });
+});
+
+describe('Tests for prop patches', () => {
+  test('it should use plain objects of the map as prop patches', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: {size: 'big'}}}>
+        <OverridableTitle title="My title" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('h1').prop('className')).toEqual('big');
+  });
+
+  test('it should merge class names and styles', () => {
+    const patch = {className: 'big', style: {color: 'red'}, title: 'New'};
+    const mounted = mount(
+      <OverridableProvider value={{'Title.container': patch}}>
+        <Overridable id="Title.container">
+          <h1 className="title" style={{color: 'blue', margin: 0}} title="Old" />
+        </Overridable>
+      </OverridableProvider>
+    );
+    const h1 = mounted.find('h1');
+    expect(h1.prop('className')).toEqual('title big');
+    expect(h1.prop('style')).toEqual({color: 'red', margin: 0});
+    expect(h1.prop('title')).toEqual('New');
+  });
+
+  test('it should apply several patches in order', () => {
+    const mounted = mount(
+      <OverridableProvider value={{'Title.container': {className: 'a'}}}>
+        <OverridableProvider
+          value={{
+            'Title.container': overrideProps({className: 'b'}, props => ({
+              ...props,
+              className: props.className.toUpperCase(),
+            })),
+          }}
+        >
+          <Overridable id="Title.container">
+            <h1 className="title" />
+          </Overridable>
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    expect(mounted.find('h1').prop('className')).toEqual('TITLE A B');
+  });
+
+  test('it should not remount the cmp when the providers re-render', () => {
+    const outer = {Title: {className: 'x'}};
+    const inner = {Title: {size: 'big'}};
+    const App = ({title}) => (
+      <OverridableProvider value={{...outer}}>
+        <OverridableProvider value={{...inner}}>
+          <OverridableTitle title={title} />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+    App.propTypes = {title: PropTypes.string.isRequired};
+
+    const mounted = mount(<App title="My title" />);
+    const h1 = mounted.find('h1').getDOMNode();
+    mounted.setProps({title: 'Changed'});
+    expect(mounted.find('h1').getDOMNode() === h1).toBe(true);
+    expect(mounted.find('h1').text()).toEqual('Changed');
+  });
+
+  test('it should not consider memo components as prop patches', () => {
+    const NewTitle = React.memo(function NewTitle() {
+      return <h2>New title</h2>;
+    });
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: NewTitle}}>
+        <OverridableTitle title="My title" />
+      </OverridableContext.Provider>
+    );
+    expect(mounted.find('h2').text()).toEqual('New title');
+  });
+
+  test('it should merge props with mergeProps', () => {
+    expect(mergeProps({className: 'a', id: 'x'}, {className: 'b', id: 'y'})).toEqual({
+      className: 'a b',
+      id: 'y',
+    });
+    expect(mergeProps({style: {color: 'red'}}, {style: {margin: 0}})).toEqual({
+      style: {color: 'red', margin: 0},
+    });
+    expect(mergeProps({}, {className: 'b'})).toEqual({className: 'b'});
+  });
+});
@@ -0,0 +1,176 @@
+import React, {useContext, useEffect, useMemo, useState} from 'react';
+import PropTypes from 'prop-types';
+import {OverridableContext, OverridableOptionsContext} from './overridable';
+import {mergeOverrides} from './resolve';
+import {overridableRegistry} from './registry';
+import {getOverrideStore, overrideStore, OverriddenComponentRepository} from './store';
+import {validateOverrides, warnAboutProblems} from './validate';
+
+const noOverrides = {};
+
+/**
+ * Returns the current map of overridden components of a repository and re-renders the
+ * calling component whenever components are added to or removed from it.
+ * @param store the `OverriddenComponentRepository` to read from, its name (see
+ *  `getOverrideStore`), or `null` for none
+ */
+export function useOverrideStore(store = overrideStore) {
+  if (typeof store === 'string') {
+    store = getOverrideStore(store);
+  }
+  const [snapshot, setSnapshot] = useState(() => (store ? store.getSnapshot() : noOverrides));
+
+  useEffect(() => {
+    if (!store) {
+      setSnapshot(noOverrides);
+      return;
+    }
+    const update = () => setSnapshot(store.getSnapshot());
+    // the store may have changed between the first render and this effect
+    update();
+    return store.subscribe(update);
+  }, [store]);
+
+  return snapshot;
+}
+
+/**
+ * Provides overridden components through `OverridableContext`.
+ *
+ * The components come from an `OverriddenComponentRepository`, which is kept up to date so
+ * overrides registered after the app has been mounted are applied right away, and/or from
+ * a plain `id: Component` map. Unless `inherit` is disabled, they are merged with the ones
+ * provided by the closest parent provider:
+ * 1. the map passed as `value`
+ * 2. the components of the repository passed as `store`
+ * 3. the components of the parent provider
+ *
+ * Several apps on the same page can keep their overrides apart by each using its own
+ * repository, e.g. by passing the name of a repository as `store`.
+ *
+ * Use `USE_DEFAULT` as the component to render the default for an id overridden by a parent.
+ * Instead of a component, a list of rules `{when: (props, env) => boolean, component}` can be
+ * used to choose the component based on the props and the `env` of the provider.
+ *
+ * Options which are not set are inherited from the parent provider.
+ */
+export function OverridableProvider({
+  store,
+  value,
+  inherit,
+  catchErrors,
+  onOverrideError,
+  onResolve,
+  onRender,
+  validate,
+  env,
+  children,
+}) {
+  const parentComponents = useContext(OverridableContext);
+  const parentOptions = useContext(OverridableOptionsContext);
+  const storeComponents = useOverrideStore(
+    store === undefined && value === null ? overrideStore : store || null
+  );
+  const overriddenComponents = useMemo(
+    () =>
+      inherit
+        ? mergeOverrides(parentComponents, storeComponents, value)
+        : mergeOverrides(storeComponents, value),
+    [inherit, parentComponents, storeComponents, value]
+  );
+  const options = useMemo(
+    () => ({
+      catchErrors: catchErrors ?? parentOptions.catchErrors,
+      onOverrideError: onOverrideError ?? parentOptions.onOverrideError,
+      onResolve: onResolve ?? parentOptions.onResolve,
+      onRender: onRender ?? parentOptions.onRender,
+      env: env ? {...parentOptions.env, ...env} : parentOptions.env,
+    }),
+    [catchErrors, onOverrideError, onResolve, onRender, env, parentOptions]
+  );
+
+  useEffect(() => {
+    if (!validate || process.env.NODE_ENV === 'production') {
+      return;
+    }
+    // validate once the whole tree has been rendered, and again when new ids get rendered
+    let timeout = null;
+    const scheduleValidation = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => warnAboutProblems(validateOverrides(overriddenComponents)));
+    };
+    scheduleValidation();
+    const unsubscribe = overridableRegistry.subscribe(scheduleValidation);
+    return () => {
+      clearTimeout(timeout);
+      unsubscribe();
+    };
+  }, [validate, overriddenComponents]);
+
+  return (
+    <OverridableOptionsContext.Provider value={options}>
+      <OverridableContext.Provider value={overriddenComponents}>
+        {children}
+      </OverridableContext.Provider>
+    </OverridableOptionsContext.Provider>
+  );
+}
+
+OverridableProvider.propTypes = {
+  /**
+   * The repository containing the overridden components, or its name
+   * (defaults to `overrideStore` unless `value` is set)
+   */
+  store: PropTypes.oneOfType([
+    PropTypes.instanceOf(OverriddenComponentRepository),
+    PropTypes.string,
+  ]),
+  /** A map `id: Component` of overridden components */
+  value: PropTypes.object,
+  /** Whether to merge the overridden components with the ones of the parent provider */
+  inherit: PropTypes.bool,
+  /** Whether to render the default component instead of an override which throws */
+  catchErrors: PropTypes.bool,
+  /**
+   * Function called when an override throws, with the error and an object with the `id`,
+   * the `override` and the `info` received by `componentDidCatch`
+   */
+  onOverrideError: PropTypes.func,
+  /**
+   * Function called after each render of an overridable with its id and an object with its
+   * `type` (see `overridableRegistry`), whether it is `overridden` and the `component`
+   * rendered (the override or the default component)
+   */
+  onResolve: PropTypes.func,
+  /**
+   * Function called with the id of an overridable, the time spent rendering it (including
+   * the overridables it contains) in milliseconds and an object with the `phase` (`mount`
+   * or `update`) and whether it is `overridden`, measured with `React.Profiler`
+   */
+  onRender: PropTypes.func,
+  /**
+   * Whether to warn in development about overridden ids which match no rendered overridable,
+   * about overrides whose prop types do not match the props they receive and about several
+   * copies of the library being loaded
+   */
+  validate: PropTypes.bool,
+  /**
+   * The environment (e.g. the role of the user, the locale or the route) passed to the
+   * conditions of conditional overrides, merged with the one of the parent provider
+   */
+  env: PropTypes.object,
+  children: PropTypes.node,
+};
+
+OverridableProvider.defaultProps = {
+  store: undefined,
+  value: null,
+  inherit: true,
+  catchErrors: undefined,
+  onOverrideError: undefined,
+  onResolve: undefined,
+  onRender: undefined,
+  validate: false,
+  env: null,
+  children: null,
+};
@@ -0,0 +1,144 @@
+import {mount} from 'enzyme';
+import React from 'react';
+import Overridable, {
+  OverridableContext,
+  OverridableProvider,
+  OverriddenComponentRepository,
+  USE_DEFAULT,
+} from '.'; // export from index.js to test it
+
+const Title = () => (
+  <Overridable id="Title">
+    <h1>Default title</h1>
+  </Overridable>
+);
+
+const Footer = () => (
+  <Overridable id="Footer">
+    <footer>Default footer</footer>
+  </Overridable>
+);
+
+const Page = () => (
+  <>
+    <Title />
+    <Footer />
+  </>
+);
+
+const GlobalTitle = () => <h2>Global title</h2>;
+const ModalFooter = () => <p>Modal footer</p>;
+const ModalTitle = () => <h3>Modal title</h3>;
+const WidgetFooter = () => <p>Widget footer</p>;
+const StoreTitle = () => <h2>Store title</h2>;
+const StoreFooter = () => <p>Store footer</p>;
+const ValueTitle = () => <h3>Value title</h3>;
+
+describe('Tests for nested providers', () => {
+  test('it should merge the overrides with the ones of the parent provider', () => {
+    const mounted = mount(
+      <OverridableContext.Provider value={{Title: GlobalTitle}}>
+        <OverridableProvider value={{Footer: ModalFooter}}>
+          <Page />
+        </OverridableProvider>
+      </OverridableContext.Provider>
+    );
+
+    expect(mounted.find('h2').text()).toEqual('Global title');
+    expect(mounted.find('p').text()).toEqual('Modal footer');
+  });
+
+  test('it should give precedence to the closest provider', () => {
+    const mounted = mount(
+      <OverridableProvider value={{Title: GlobalTitle}}>
+        <OverridableProvider value={{Title: ModalTitle}}>
+          <Title />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h2')).toHaveLength(0);
+    expect(mounted.find('h3').text()).toEqual('Modal title');
+  });
+
+  test('it should render the default for ids overridden with `USE_DEFAULT`', () => {
+    const mounted = mount(
+      <OverridableProvider value={{Title: GlobalTitle}}>
+        <OverridableProvider value={{Title: USE_DEFAULT}}>
+          <Title />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h2')).toHaveLength(0);
+    expect(mounted.find('h1').text()).toEqual('Default title');
+  });
+
+  test('it should ignore the parent overrides when not inheriting', () => {
+    const mounted = mount(
+      <OverridableProvider value={{Title: GlobalTitle}}>
+        <OverridableProvider value={{Footer: WidgetFooter}} inherit={false}>
+          <Page />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h1').text()).toEqual('Default title');
+    expect(mounted.find('p').text()).toEqual('Widget footer');
+  });
+
+  test('it should give precedence to `value` over the store', () => {
+    const store = new OverriddenComponentRepository({
+      Title: StoreTitle,
+      Footer: StoreFooter,
+    });
+    const mounted = mount(
+      <OverridableProvider store={store} value={{Title: ValueTitle}}>
+        <Page />
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h3').text()).toEqual('Value title');
+    expect(mounted.find('p').text()).toEqual('Store footer');
+  });
+});
+
+describe('Tests for the instrumentation of the provider', () => {
+  test('it should report how each id is resolved', () => {
+    const onResolve = jest.fn();
+    const mounted = mount(
+      <OverridableProvider value={{Title: GlobalTitle}} onResolve={onResolve}>
+        <Page />
+      </OverridableProvider>
+    );
+
+    expect(onResolve.mock.calls).toEqual([
+      ['Title', {type: 'element', overridden: true, component: GlobalTitle}],
+      ['Footer', {type: 'element', overridden: false, component: 'footer'}],
+    ]);
+    mounted.setProps({value: {Title: GlobalTitle}});
+    expect(onResolve).toHaveBeenCalledTimes(4);
+  });
+
+  test('it should report how long each id takes to render', () => {
+    const onRender = jest.fn();
+    const mounted = mount(
+      <OverridableProvider value={{Title: GlobalTitle}}>
+        <OverridableProvider onRender={onRender}>
+          <Page />
+        </OverridableProvider>
+      </OverridableProvider>
+    );
+
+    expect(onRender.mock.calls).toEqual([
+      ['Title', expect.any(Number), {phase: 'mount', overridden: true}],
+      ['Footer', expect.any(Number), {phase: 'mount', overridden: false}],
+    ]);
+    expect(mounted.find('Profiler')).toHaveLength(2);
+  });
+
+  test('it should not profile the ids without onRender', () => {
+    const mounted = mount(<Page />);
+    expect(mounted.find('Profiler')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Returns a human-readable name for a component or element type.
+ * @param type a component, an element type (e.g. `'div'`) or a React symbol (e.g. a fragment)
+ */
+export function getComponentName(type) {
+  if (!type) {
+    return null;
+  } else if (typeof type === 'string') {
+    return type;
+  } else if (typeof type === 'symbol') {
+    return type.description.replace(/^react\./, '').replace(/^./, c => c.toUpperCase());
+  }
+  return type.displayName || type.name || 'Anonymous';
+}
+
+/**
+ * Keeps track of all the overridable ids which have been rendered in the app, i.e. both the
+ * ids of `Overridable` elements and of components created by `Overridable.component`.
+ *
+ * For each id, it records the name of the default component, the override currently in use
+ * (if any), how many instances are mounted, how many times they have been rendered (and for
+ * how long, when profiled by an `OverridableProvider` with `onRender`) and the props they
+ * received last.
+ */
+export class OverridableRegistry {
+  constructor() {
+    this.entries = {};
+    this.listeners = new Set();
+  }
+
+  /**
+   * Records that an instance of an overridable has been mounted.
+   * @param id the id of the overridable
+   */
+  mount = id => {
+    const entry = this._getEntry(id);
+    this._setEntry(id, {
+      ...entry,
+      mounted: entry.mounted + 1,
+      mountCount: entry.mountCount + 1,
+    });
+  };
+
+  /**
+   * Records that an instance of an overridable has been unmounted.
+   * The id is kept in the registry, as it may still be rendered again later.
+   * @param id the id of the overridable
+   */
+  unmount = id => {
+    const entry = this._getEntry(id);
+    this._setEntry(id, {...entry, mounted: Math.max(entry.mounted - 1, 0)});
+  };
+
+  /**
+   * Records how an instance of an overridable has been rendered.
+   * @param id the id of the overridable
+   * @param info object with the `type` of overridable (`element` for `Overridable`,
+   *  `component` for `Overridable.component`, `hook` for `useOverride` and `props` for
+   *  `useOverridableProps`), the `defaultComponent`, the `override` (if
+   *  any), whether the override is temporarily `disabled` in dev mode, the `props` received
+   *  and the `path` of ids of the overridables it is rendered in, ending with its own id
+   */
+  update = (id, {type, defaultComponent, override, disabled = false, props, path = [id]}) => {
+    const entry = this._getEntry(id);
+    this._setEntry(id, {
+      ...entry,
+      renderCount: entry.renderCount + 1,
+      type,
+      defaultComponent,
+      defaultName: getComponentName(defaultComponent),
+      overridden: !!override && !disabled,
+      override: override || null,
+      overrideName: getComponentName(override),
+      disabled,
+      props,
+      path,
+    });
+  };
+
+  /**
+   * Records how long an instance of an overridable took to render.
+   * @param id the id of the overridable
+   * @param duration the time spent rendering it, in milliseconds
+   */
+  addRenderDuration = (id, duration) => {
+    const entry = this._getEntry(id);
+    this._setEntry(id, {...entry, renderDuration: entry.renderDuration + duration});
+  };
+
+  /**
+   * Returns what has been recorded for an id, or `undefined` if it has never been rendered.
+   * @param id the id of the overridable
+   */
+  get = id => {
+    return this.entries[id];
+  };
+
+  /**
+   * Returns what has been recorded for all the ids rendered so far, sorted by id.
+   */
+  getAll = () => {
+    return Object.keys(this.entries)
+      .sort()
+      .map(id => this.entries[id]);
+  };
+
+  clear = () => {
+    this.entries = {};
+    this._notify();
+  };
+
+  /**
+   * Registers a listener called whenever the registry changes.
+   * @param listener function called without arguments after each change
+   * @returns a function that removes the listener
+   */
+  subscribe = listener => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  _getEntry = id => {
+    return (
+      this.entries[id] || {
+        id,
+        type: null,
+        defaultComponent: null,
+        defaultName: null,
+        overridden: false,
+        override: null,
+        overrideName: null,
+        mounted: 0,
+        mountCount: 0,
+        renderCount: 0,
+        renderDuration: 0,
+        disabled: false,
+        props: {},
+        path: [id],
+      }
+    );
+  };
+
+  _setEntry = (id, entry) => {
+    this.entries[id] = entry;
+    this._notify();
+  };
+
+  _notify = () => {
+    this.listeners.forEach(listener => listener());
+  };
+}
+
+export const overridableRegistry = new OverridableRegistry();
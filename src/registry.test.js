@@ -0,0 +1,85 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Overridable, {OverridableContext, overridableRegistry} from '.'; // export from index.js to test it
+
+const Title = ({title}) => (
+  <Overridable id="Title.container" title={title}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const OverridableTitle = Overridable.component('Title', Title);
+const NewContainer = () => <h2>New title</h2>;
+
+describe('Tests for the registry of overridable ids', () => {
+  beforeEach(() => {
+    overridableRegistry.clear();
+  });
+
+  test('it should record the rendered ids', () => {
+    const mounted = mount(<OverridableTitle title="My title" />);
+
+    expect(overridableRegistry.getAll().map(entry => entry.id)).toEqual([
+      'Title',
+      'Title.container',
+    ]);
+    expect(overridableRegistry.get('Title')).toMatchObject({
+      type: 'component',
+      defaultComponent: Title,
+      defaultName: 'Title',
+      overridden: false,
+      override: null,
+      mounted: 1,
+      mountCount: 1,
+      props: {title: 'My title'},
+    });
+    expect(overridableRegistry.get('Title.container')).toMatchObject({
+      type: 'element',
+      defaultName: 'h1',
+      props: {title: 'My title', children: 'My title'},
+    });
+
+    mounted.unmount();
+    expect(overridableRegistry.get('Title')).toMatchObject({mounted: 0, mountCount: 1});
+  });
+
+  test('it should count the renders', () => {
+    const mounted = mount(<OverridableTitle title="My title" />);
+    mounted.setProps({title: 'My new title'});
+
+    expect(overridableRegistry.get('Title')).toMatchObject({renderCount: 2, mountCount: 1});
+    mounted.unmount();
+  });
+
+  test('it should record the overrides', () => {
+    mount(
+      <OverridableContext.Provider value={{'Title.container': NewContainer}}>
+        <OverridableTitle title="My title" />
+        <OverridableTitle title="My other title" />
+      </OverridableContext.Provider>
+    );
+
+    expect(overridableRegistry.get('Title')).toMatchObject({overridden: false, mounted: 2});
+    expect(overridableRegistry.get('Title.container')).toMatchObject({
+      overridden: true,
+      override: NewContainer,
+      overrideName: 'NewContainer',
+      mounted: 2,
+      props: {title: 'My other title'},
+    });
+  });
+
+  test('it should notify the listeners when an id is rendered', () => {
+    const listener = jest.fn();
+    const unsubscribe = overridableRegistry.subscribe(listener);
+    mount(<OverridableTitle title="My title" />);
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalled();
+  });
+});
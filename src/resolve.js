@@ -0,0 +1,395 @@
+import React from 'react';
+import {isPropsPatch, mergeProps} from './props';
+import {getComponentName} from './registry';
+
+/**
+ * Value that can be used in a map of overridden components to explicitly use the default
+ * component for an id, even if an override for it has been set by a parent provider.
+ */
+export const USE_DEFAULT = Symbol('react-overridable.USE_DEFAULT');
+
+/**
+ * Cache keyed by components, which may also be the names of host elements (e.g. `'button'`)
+ * that cannot be used as keys of a `WeakMap`.
+ */
+class ComponentCache {
+  constructor() {
+    this.components = new WeakMap();
+    this.elementTypes = new Map();
+  }
+
+  _getMap(key) {
+    return typeof key === 'string' ? this.elementTypes : this.components;
+  }
+
+  has(key) {
+    return this._getMap(key).has(key);
+  }
+
+  get(key) {
+    return this._getMap(key).get(key);
+  }
+
+  set(key, value) {
+    this._getMap(key).set(key, value);
+  }
+}
+
+/**
+ * Base class of the entries of a map of overridden components which are not plain components
+ * but get resolved to one based on the default component of the overridable.
+ */
+export class OverrideEntry {
+  constructor() {
+    this.resolved = new ComponentCache();
+  }
+
+  /**
+   * Returns the component to render instead of the default one. The result is cached so
+   * the same component is returned for every render and React does not remount it.
+   * @param Default the default component of the overridable
+   */
+  resolve(Default) {
+    if (!this.resolved.has(Default)) {
+      this.resolved.set(Default, this.createComponent(Default));
+    }
+    return this.resolved.get(Default);
+  }
+
+  /**
+   * Creates the component to render instead of the default one.
+   * Must be implemented by subclasses.
+   * @param Default the default component of the overridable
+   */
+  // eslint-disable-next-line no-unused-vars
+  createComponent(Default) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Combines this entry with the entry for the same id it takes precedence over, e.g. the
+   * one from a parent provider. By default the previous entry is simply replaced.
+   * @param previous the previous entry (a component, an `OverrideEntry` or `USE_DEFAULT`)
+   * @returns the combined entry
+   */
+  // eslint-disable-next-line no-unused-vars
+  mergeWith(previous) {
+    return this;
+  }
+}
+
+/**
+ * Entry which wraps the default component (or the previous override) instead of replacing it.
+ */
+export class WrappedOverride extends OverrideEntry {
+  constructor(wrappers, base = undefined) {
+    super();
+    this.wrappers = wrappers;
+    // plain objects of props and lists of rules can also be wrapped or patched
+    this.base = normalizeEntry(base);
+  }
+
+  createComponent(Default) {
+    const Base = resolveComponent(this.base, Default) || Default;
+    return this.wrappers.reduce((Original, wrapper) => wrapComponent(wrapper, Original), Base);
+  }
+
+  mergeWith(previous) {
+    if (this.base !== undefined) {
+      // we already wrap an override which replaces the previous entry
+      return this;
+    } else if (previous instanceof WrappedOverride) {
+      return new WrappedOverride([...previous.wrappers, ...this.wrappers], previous.base);
+    }
+    return new WrappedOverride(this.wrappers, previous);
+  }
+
+  /**
+   * Returns a copy of this entry wrapping a different base component.
+   * @param base the new component (or entry) to wrap
+   */
+  withBase(base) {
+    return new WrappedOverride(this.wrappers, base);
+  }
+}
+
+const wrappedComponents = new WeakMap();
+
+// Applies a wrapper to a component, making sure the same component is returned every time
+// a wrapper is applied to the same component.
+function wrapComponent(wrapper, Original) {
+  if (!wrappedComponents.has(wrapper)) {
+    wrappedComponents.set(wrapper, new ComponentCache());
+  }
+  const cache = wrappedComponents.get(wrapper);
+  if (!cache.has(Original)) {
+    cache.set(Original, wrapper(Original));
+  }
+  return cache.get(Original);
+}
+
+/**
+ * Creates an entry for a map of overridden components which wraps the default component
+ * (or the override set by a parent provider) instead of replacing it.
+ * @param wrappers functions receiving the original component and returning a new component.
+ *  They are applied in order, so the first one wraps the original component directly.
+ * @returns the map entry
+ */
+export function wrap(...wrappers) {
+  return new WrappedOverride(wrappers);
+}
+
+/**
+ * Entry which changes the props of the default component (or of the previous override)
+ * instead of replacing it.
+ */
+export class PropsOverride extends OverrideEntry {
+  constructor(patches, base = undefined) {
+    super();
+    this.patches = patches;
+    this.base = normalizeEntry(base);
+  }
+
+  /**
+   * Returns the props patched by this entry.
+   * @param props the original props
+   */
+  apply(props) {
+    return this.patches.reduce(mergeProps, props);
+  }
+
+  createComponent(Default) {
+    const Base = resolveComponent(this.base, Default) || Default;
+    return patchComponent(this.patches, Base);
+  }
+
+  mergeWith(previous) {
+    if (this.base !== undefined) {
+      // we already patch an override which replaces the previous entry
+      return this;
+    } else if (previous instanceof PropsOverride) {
+      return new PropsOverride([...previous.patches, ...this.patches], previous.base);
+    }
+    return new PropsOverride(this.patches, previous);
+  }
+}
+
+const patchedComponents = new ComponentCache();
+
+// Creates a component rendering another one with patched props, making sure the same
+// component is returned every time the same patches are applied to the same component.
+function patchComponent(patches, Base) {
+  // the cache is a tree of the base components and the patches applied to them
+  let node = {children: patchedComponents};
+  [Base, ...patches].forEach(key => {
+    if (!node.children.has(key)) {
+      node.children.set(key, {children: new ComponentCache(), component: null});
+    }
+    node = node.children.get(key);
+  });
+  if (!node.component) {
+    const PatchedProps = props => React.createElement(Base, patches.reduce(mergeProps, props));
+    PatchedProps.displayName = `PatchedProps(${getComponentName(Base)})`;
+    node.component = PatchedProps;
+  }
+  return node.component;
+}
+
+/**
+ * Creates an entry for a map of overridden components which changes the props of the default
+ * component (or of the override set by a parent provider) instead of replacing it.
+ * A plain object of props can also be used directly as entry.
+ * @param patches the props to add or replace (see `mergeProps`), or functions receiving the
+ *  original props and returning the new ones. They are applied in order.
+ * @returns the map entry
+ */
+export function overrideProps(...patches) {
+  return new PropsOverride(patches);
+}
+
+/**
+ * Entry choosing the override of an id based on the props of the overridable and the
+ * environment provided by `OverridableProvider`. The rules are evaluated in order, and the
+ * entry of the first one whose condition is met is used. If no condition is met, the
+ * previous entry (e.g. from a parent provider) or the default component is used.
+ */
+export class ConditionalOverride extends OverrideEntry {
+  constructor(rules, base = undefined) {
+    super();
+    this.rules = rules;
+    this.base = normalizeEntry(base);
+  }
+
+  /**
+   * Returns the entry to use for the given props and environment.
+   * @param props the props of the overridable
+   * @param env the environment provided by `OverridableProvider`
+   */
+  select(props, env) {
+    const rule = this.rules.find(({when}) => when(props, env));
+    return rule ? normalizeEntry(rule.component) : this.base;
+  }
+
+  createComponent(Default) {
+    // the conditions cannot be evaluated without the props, see `selectEntry`
+    return resolveComponent(this.base, Default);
+  }
+
+  mergeWith(previous) {
+    if (this.base !== undefined) {
+      return this;
+    }
+    return new ConditionalOverride(this.rules, previous);
+  }
+}
+
+/**
+ * Returns the entry to use for the given props and environment, i.e. evaluates the conditions
+ * of conditional entries, including the ones wrapped or patched by other entries.
+ * @param entry an entry returned by `getOverride`
+ * @param props the props of the overridable
+ * @param env the environment provided by `OverridableProvider`
+ */
+export function selectEntry(entry, props, env) {
+  if (entry instanceof ConditionalOverride) {
+    const selected = entry.select(props, env);
+    return selectEntry(selected === USE_DEFAULT ? undefined : selected, props, env);
+  } else if (entry instanceof WrappedOverride && entry.base !== undefined) {
+    const base = selectEntry(entry.base, props, env);
+    return base === entry.base ? entry : entry.withBase(base);
+  } else if (entry instanceof PropsOverride && entry.base !== undefined) {
+    const base = selectEntry(entry.base, props, env);
+    return base === entry.base ? entry : new PropsOverride(entry.patches, base);
+  }
+  return entry;
+}
+
+const normalizedEntries = new WeakMap();
+
+// Returns the entry to use for a value of a map of overridden components, i.e. a
+// `PropsOverride` for a plain object of props and a `ConditionalOverride` for a list of rules.
+function normalizeEntry(entry) {
+  if (!isPropsPatch(entry) && !Array.isArray(entry)) {
+    return entry;
+  }
+  if (!normalizedEntries.has(entry)) {
+    normalizedEntries.set(
+      entry,
+      Array.isArray(entry) ? new ConditionalOverride(entry) : new PropsOverride([entry])
+    );
+  }
+  return normalizedEntries.get(entry);
+}
+
+/**
+ * Merges maps of overridden components. Entries of later maps take precedence over
+ * entries with the same id in earlier ones, except for wrappers which wrap them.
+ * @param maps the maps `id: Component` to merge, from the lowest to the highest precedence
+ * @returns the merged map
+ */
+export function mergeOverrides(...maps) {
+  const merged = {};
+  maps.forEach(map => {
+    Object.entries(map || {}).forEach(([id, value]) => {
+      const entry = normalizeEntry(value);
+      merged[id] = entry instanceof OverrideEntry ? entry.mergeWith(merged[id]) : entry;
+    });
+  });
+  return merged;
+}
+
+// Checks whether the segments of an id match the segments of a pattern.
+function matchSegments(patternSegments, idSegments) {
+  if (!patternSegments.length) {
+    return !idSegments.length;
+  }
+  const [segment, ...rest] = patternSegments;
+  if (segment === '**') {
+    // try to match any number of segments, including none
+    return (
+      idSegments.some((__, index) => matchSegments(rest, idSegments.slice(index))) ||
+      matchSegments(rest, [])
+    );
+  }
+  return (
+    !!idSegments.length &&
+    (segment === '*' || segment === idSegments[0]) &&
+    matchSegments(rest, idSegments.slice(1))
+  );
+}
+
+/**
+ * Checks whether an id matches a pattern. In patterns, `*` matches a single segment of a
+ * dotted id and `**` matches any number of segments.
+ * @param pattern the pattern (or a plain id)
+ * @param id the id of the overridable component
+ */
+export function matchesId(pattern, id) {
+  return (
+    pattern === id || (pattern.includes('*') && matchSegments(pattern.split('.'), id.split('.')))
+  );
+}
+
+// Sorts patterns from the most to the least specific one: more literal segments first, then
+// more single-segment wildcards (`*`) rather than multi-segment ones (`**`), then the pattern
+// which comes last in the map.
+function bySpecificity(a, b) {
+  return b.literals - a.literals || b.singles - a.singles || b.index - a.index;
+}
+
+const sortedPatterns = new WeakMap();
+
+// Returns the ids containing wildcards of a map, from the most to the least specific one.
+// The result is cached since maps are usually reused across renders.
+function getPatterns(overriddenComponents) {
+  if (!sortedPatterns.has(overriddenComponents)) {
+    const patterns = Object.keys(overriddenComponents)
+      .filter(key => key.includes('*'))
+      .map((key, index) => {
+        const segments = key.split('.');
+        return {
+          key,
+          index,
+          literals: segments.filter(s => s !== '*' && s !== '**').length,
+          singles: segments.filter(s => s === '*').length,
+        };
+      })
+      .sort(bySpecificity);
+    sortedPatterns.set(overriddenComponents, patterns);
+  }
+  return sortedPatterns.get(overriddenComponents);
+}
+
+/**
+ * Looks up the override for an id. An entry for the exact id takes precedence, otherwise the
+ * most specific pattern matching the id is used.
+ * @param overriddenComponents the map `id: Component` of overridden components
+ * @param id the id of the overridable component
+ * @returns the entry of the map or `undefined` if the default should be used
+ */
+export function getOverride(overriddenComponents, id) {
+  const override = normalizeEntry(overriddenComponents[id]);
+  if (override !== undefined && !(override instanceof WrappedOverride && !override.base)) {
+    return override === USE_DEFAULT ? undefined : override;
+  }
+  const pattern = id && getPatterns(overriddenComponents).find(p => matchesId(p.key, id));
+  const patternOverride = pattern && normalizeEntry(overriddenComponents[pattern.key]);
+  if (override) {
+    // wrappers registered for the exact id wrap the override matching a pattern
+    return patternOverride ? override.withBase(patternOverride) : override;
+  }
+  return patternOverride === USE_DEFAULT ? undefined : patternOverride;
+}
+
+/**
+ * Returns the component to render for an entry of a map of overridden components.
+ * @param entry a component, an `OverrideEntry` or `USE_DEFAULT`
+ * @param Default the default component of the overridable
+ * @returns the component to render or `undefined` if the default should be used
+ */
+export function resolveComponent(entry, Default) {
+  if (entry === USE_DEFAULT) {
+    return undefined;
+  }
+  return entry instanceof OverrideEntry ? entry.resolve(Default) : entry;
+}
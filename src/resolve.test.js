@@ -0,0 +1,64 @@
+import {USE_DEFAULT, getOverride, matchesId, wrap} from './resolve';
+
+describe('Tests for id patterns', () => {
+  test('it should match single segments with `*`', () => {
+    expect(matchesId('*.container', 'ExampleComponent.container')).toBe(true);
+    expect(matchesId('*.container', 'SearchApp.results.container')).toBe(false);
+    expect(matchesId('SearchApp.*.layout', 'SearchApp.results.layout')).toBe(true);
+    expect(matchesId('SearchApp.*.layout', 'SearchApp.layout')).toBe(false);
+  });
+
+  test('it should match any number of segments with `**`', () => {
+    expect(matchesId('**.container', 'SearchApp.results.container')).toBe(true);
+    expect(matchesId('**.container', 'container')).toBe(true);
+    expect(matchesId('SearchApp.**', 'SearchApp.results.item.title')).toBe(true);
+    expect(matchesId('SearchApp.**', 'OtherApp.results')).toBe(false);
+  });
+
+  test('it should only match identical ids without wildcards', () => {
+    expect(matchesId('SearchApp.layout', 'SearchApp.layout')).toBe(true);
+    expect(matchesId('SearchApp.layout', 'SearchApp.layout.header')).toBe(false);
+  });
+});
+
+describe('Tests for override lookup', () => {
+  const Exact = () => null;
+  const Specific = () => null;
+  const Generic = () => null;
+  const Any = () => null;
+
+  const overriddenComponents = {
+    '**': Any,
+    '*.*.layout': Generic,
+    'SearchApp.*.layout': Specific,
+    'SearchApp.results.layout': Exact,
+  };
+
+  test('it should prefer the exact id', () => {
+    expect(getOverride(overriddenComponents, 'SearchApp.results.layout')).toBe(Exact);
+  });
+
+  test('it should prefer the most specific pattern', () => {
+    expect(getOverride(overriddenComponents, 'SearchApp.facets.layout')).toBe(Specific);
+    expect(getOverride(overriddenComponents, 'OtherApp.facets.layout')).toBe(Generic);
+    expect(getOverride(overriddenComponents, 'OtherApp.facets')).toBe(Any);
+  });
+
+  test('it should prefer the last pattern with the same specificity', () => {
+    const Last = () => null;
+    expect(getOverride({'*.layout': Generic, 'SearchApp.*': Last}, 'SearchApp.layout')).toBe(Last);
+  });
+
+  test('it should not use patterns for ids explicitly using the default', () => {
+    expect(getOverride({'*.layout': Generic, 'App.layout': USE_DEFAULT}, 'App.layout')).toBe(
+      undefined
+    );
+  });
+
+  test('it should wrap the override matching a pattern', () => {
+    const wrapper = Original => Original;
+    const override = getOverride({'*.layout': Generic, 'App.layout': wrap(wrapper)}, 'App.layout');
+    expect(override.base).toBe(Generic);
+    expect(override.wrappers).toEqual([wrapper]);
+  });
+});
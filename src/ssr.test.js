@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+
+import PropTypes from 'prop-types';
+import React from 'react';
+import {renderToString} from 'react-dom/server';
+import Overridable, {
+  devMode,
+  overrideProps,
+  useOverride,
+  OverridableProvider,
+  OverriddenComponentRepository,
+} from '.'; // export from index.js to test it
+
+const Title = ({children}) => (
+  <Overridable id="Title.container" className="title">
+    <h1>{children}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+const OverridableTitle = Overridable.component('Title', Title);
+
+const Card = () => (
+  <Overridable id="Card" slots={{header: <h2>Header</h2>, body: 'Body'}}>
+    {({header, body}) => (
+      <section>
+        {header}
+        {body}
+      </section>
+    )}
+  </Overridable>
+);
+
+const Button = () => {
+  const Component = useOverride('Button', 'button');
+  return <Component>Click</Component>;
+};
+
+const NewTitle = ({children}) => <h3>{children}</h3>;
+
+NewTitle.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+describe('Tests for server-side rendering', () => {
+  afterEach(() => {
+    devMode.disable();
+  });
+
+  test('it should import the library without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof document).toBe('undefined');
+  });
+
+  test('it should render the default components', () => {
+    const html = renderToString(
+      <div>
+        <OverridableTitle>Title</OverridableTitle>
+        <Card />
+        <Button />
+      </div>
+    );
+    expect(html).toBe(
+      '<div data-reactroot=""><h1>Title</h1><section><h2>Header</h2>Body</section>' +
+        '<button>Click</button></div>'
+    );
+  });
+
+  test('it should render the overrides of a provider', () => {
+    const store = new OverriddenComponentRepository();
+    store.add('Title.container', NewTitle);
+    store.add('Card.header', overrideProps({className: 'header'}));
+    const html = renderToString(
+      <OverridableProvider store={store}>
+        <OverridableTitle>Title</OverridableTitle>
+        <Card />
+      </OverridableProvider>
+    );
+    expect(html).toBe('<h3>Title</h3><section><h2 class="header">Header</h2>Body</section>');
+  });
+
+  test('it should render the same markup in dev mode', () => {
+    devMode.configure({persist: 'localStorage', shortcut: 'Ctrl+Shift+O'});
+    devMode.enable();
+    expect(devMode.isEnabled()).toBe(true);
+    expect(renderToString(<OverridableTitle>Title</OverridableTitle>)).toBe('<h1>Title</h1>');
+    devMode.configure();
+  });
+});
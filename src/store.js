@@ -1,27 +1,255 @@
+import {getContract, getContracts} from './contracts';
+import {WrappedOverride} from './resolve';
+import {validateOverrides} from './validate';
+
+// Sorts registrations from the highest to the lowest precedence: higher priorities first and,
+// for equal priorities, the latest registration first.
+const byPrecedence = (a, b) => b.priority - a.priority || b.order - a.order;
+
+// Sorts wrappers in the order they are applied: lower priorities first (i.e. innermost) and,
+// for equal priorities, in the order they were registered.
+const byApplicationOrder = (a, b) => a.priority - b.priority || a.order - b.order;
+
 /**
  * Simple utility class responsible of keeping track of all overridden components.
- * @constructor object containing the initial map `id: Component` of overridden components
+ *
+ * Overrides can be registered by several sources (e.g. plugins), each with a priority.
+ * For each id, the component with the highest priority is used; for equal priorities the
+ * latest registration wins and a warning is logged in development.
+ * @constructor object containing the initial map `id: Component` of overridden components,
+ *  and an object with the `name` of the repository (see `getOverrideStore`)
  */
 export class OverriddenComponentRepository {
-  constructor(overriddenComponents) {
-    this.components = overriddenComponents || {};
+  constructor(overriddenComponents, {name = null} = {}) {
+    this.name = name;
+    this.registrations = {};
+    this.counter = 0;
+    this.listeners = new Set();
+    this.snapshot = null;
+    this.batchDepth = 0;
+    this.pendingNotification = false;
+    Object.entries(overriddenComponents || {}).forEach(([id, Component]) => {
+      this._register(id, {type: 'replace', component: Component});
+    });
   }
 
-  add = (id, Component) => {
-    this.components[id] = Component;
+  /**
+   * Registers a component overriding the one with the given id. A previous registration for
+   * the same id from the same source is replaced; without a source, a warning is logged in
+   * development if it registered another component, since it may come from another plugin.
+   * @param id the id of the overridable component
+   * @param Component the new component
+   * @param options object with the `source` registering the component (e.g. a plugin name)
+   *  and its `priority` (defaults to 0)
+   */
+  add = (id, Component, {source, priority = 0} = {}) => {
+    const registrations = this._getRegistrations(id);
+    // unnamed sources cannot be told apart, e.g. two plugins which do not pass a source
+    const conflict = registrations.find(
+      r =>
+        r.type === 'replace' &&
+        (r.source !== source || (source === undefined && r.component !== Component)) &&
+        r.priority === priority
+    );
+    if (conflict && process.env.NODE_ENV !== 'production') {
+      const sources =
+        conflict.source === source
+          ? 'several unnamed sources'
+          : `both ${formatSource(conflict.source)} and ${formatSource(source)}`;
+      console.warn(
+        `react-overridable: ${formatStore(
+          this.name
+        )}'${id}' is overridden with priority ${priority} by ${sources}; ` +
+          `using the latter since it was registered last`
+      );
+    }
+    this.registrations[id] = registrations.filter(r => r.type !== 'replace' || r.source !== source);
+    this._register(id, {type: 'replace', component: Component, source, priority});
+    this._notify();
+  };
+
+  /**
+   * Wraps the component with the given id instead of replacing it.
+   * Wrappers are applied by increasing priority and then in the order they are registered,
+   * on top of the component registered with `add` or, if there is none, of the default one.
+   * @param id the id of the overridable component
+   * @param wrapper function receiving the original component and returning a new component
+   * @param options object with the `source` registering the wrapper and its `priority`
+   */
+  wrap = (id, wrapper, {source, priority = 0} = {}) => {
+    this._register(id, {type: 'wrap', wrapper, source, priority});
+    this._notify();
+  };
+
+  /**
+   * Removes the components and wrappers registered for an id, so the default component (or
+   * an override from another source) is used again.
+   * @param id the id of the overridable component
+   * @param options object with the `source` whose registrations are removed (by default,
+   *  the ones registered without a source)
+   */
+  remove = (id, {source} = {}) => {
+    const registrations = this._getRegistrations(id).filter(r => r.source !== source);
+    if (registrations.length) {
+      this.registrations[id] = registrations;
+    } else {
+      delete this.registrations[id];
+    }
+    this._notify();
   };
 
   get = id => {
-    return this.components[id];
+    const registrations = this._getRegistrations(id);
+    const [winner] = registrations.filter(r => r.type === 'replace').sort(byPrecedence);
+    const wrappers = registrations.filter(r => r.type === 'wrap').sort(byApplicationOrder);
+    if (!wrappers.length) {
+      return winner && winner.component;
+    }
+    return new WrappedOverride(
+      wrappers.map(r => r.wrapper),
+      winner && winner.component
+    );
   };
 
   getAll = () => {
-    return {...this.components};
+    return Object.fromEntries(Object.keys(this.registrations).map(id => [id, this.get(id)]));
+  };
+
+  /**
+   * Lists everything registered for an id: first the components, from the one being used to
+   * the one with the lowest precedence, then the wrappers in the order they are applied.
+   * @param id the id of the overridable component
+   * @returns a list of objects with the `type` of the registration (`replace` or `wrap`),
+   *  the `component` or `wrapper`, its `source` and `priority`
+   */
+  getContributors = id => {
+    const registrations = this._getRegistrations(id);
+    return [
+      ...registrations.filter(r => r.type === 'replace').sort(byPrecedence),
+      ...registrations.filter(r => r.type === 'wrap').sort(byApplicationOrder),
+    ].map(({order, ...registration}) => registration);
+  };
+
+  /**
+   * Returns the contract declared by the overridable with the given id (see
+   * `declareContract`), or by the overridable it is a deprecated alias of, if any.
+   * @param id the id of the overridable component
+   */
+  getContract = id => {
+    return getContract(id);
+  };
+
+  /**
+   * Returns the contracts declared by the overridables so far, sorted by id.
+   */
+  getContracts = () => {
+    return getContracts();
+  };
+
+  /**
+   * Returns the current map of overridden components. Unlike `getAll`, the same object is
+   * returned until the repository changes, so it can be passed to a React context directly.
+   */
+  getSnapshot = () => {
+    if (!this.snapshot) {
+      this.snapshot = this.getAll();
+    }
+    return this.snapshot;
+  };
+
+  /**
+   * Checks the overridden components against the overridables rendered so far.
+   * See `validateOverrides` for the problems found and the supported options.
+   */
+  validate = options => {
+    return validateOverrides(this.getAll(), options);
   };
 
   clear = () => {
-    this.components = {};
+    this.registrations = {};
+    this._notify();
+  };
+
+  /**
+   * Registers a listener called whenever the overridden components change.
+   * @param listener function called without arguments after each change
+   * @returns a function that removes the listener
+   */
+  subscribe = listener => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Runs `fn` and notifies the listeners only once, after all the changes it made.
+   * Nested calls are merged into the outermost one.
+   * @param fn function performing any number of changes on the repository
+   */
+  batch = fn => {
+    this.batchDepth++;
+    try {
+      fn();
+    } finally {
+      this.batchDepth--;
+      if (!this.batchDepth && this.pendingNotification) {
+        this._notify();
+      }
+    }
   };
+
+  _getRegistrations = id => {
+    return this.registrations[id] || [];
+  };
+
+  _register = (id, registration) => {
+    this.registrations[id] = [
+      ...this._getRegistrations(id),
+      {id, source: undefined, priority: 0, ...registration, order: this.counter++},
+    ];
+  };
+
+  _notify = () => {
+    this.snapshot = null;
+    if (this.batchDepth) {
+      this.pendingNotification = true;
+      return;
+    }
+    this.pendingNotification = false;
+    this.listeners.forEach(listener => listener());
+  };
+}
+
+function formatSource(source) {
+  return source === undefined ? 'an unnamed source' : `'${source}'`;
+}
+
+function formatStore(name) {
+  return name === null || name === 'default' ? '' : `[${name}] `;
+}
+
+const namedStores = new Map();
+
+/**
+ * Returns the repository with the given name, creating it the first time. Apps sharing a page
+ * (e.g. several widgets) should each register their overrides in their own repository and
+ * pass its name as the `store` of their `OverridableProvider`, so they never see the
+ * overrides of each other.
+ * @param name the name of the repository, `default` being `overrideStore`
+ */
+export function getOverrideStore(name) {
+  if (!namedStores.has(name)) {
+    namedStores.set(name, new OverriddenComponentRepository(null, {name}));
+  }
+  return namedStores.get(name);
+}
+
+/**
+ * Removes all the overridden components of all the named repositories.
+ */
+export function clearOverrideStores() {
+  namedStores.forEach(store => store.clear());
 }
 
-export const overrideStore = new OverriddenComponentRepository();
+export const overrideStore = getOverrideStore('default');
@@ -1,7 +1,15 @@
 import {mount} from 'enzyme';
 import PropTypes from 'prop-types';
 import React, {Component} from 'react';
-import Overridable, {OverridableContext, overrideStore} from '.'; // export from index.js to test it
+import {act} from 'react-dom/test-utils';
+import Overridable, {
+  getOverrideStore,
+  loadOverrides,
+  OverridableContext,
+  OverridableProvider,
+  OverriddenComponentRepository,
+  overrideStore,
+} from '.'; // export from index.js to test it
 
 class ExampleComponent extends Component {
   static propTypes = {
@@ -57,3 +65,302 @@ describe('Tests for store utility object.', () => {
     expect(NewCmp.find('ul')).toHaveLength(0);
   });
 });
+
+describe('Tests for store subscriptions.', () => {
+  test('it should notify the listeners when the store changes', () => {
+    const store = new OverriddenComponentRepository();
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    store.add(CMP_ID, () => null);
+    store.clear();
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    store.add(CMP_ID, () => null);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('it should notify the listeners only once for batched changes', () => {
+    const store = new OverriddenComponentRepository();
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.batch(() => {
+      store.add('A', () => null);
+      store.batch(() => store.add('B', () => null));
+      expect(listener).not.toHaveBeenCalled();
+    });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(Object.keys(store.getSnapshot())).toEqual(['A', 'B']);
+  });
+
+  test('it should return the same snapshot until the store changes', () => {
+    const store = new OverriddenComponentRepository({[CMP_ID]: () => null});
+    const snapshot = store.getSnapshot();
+    expect(store.getSnapshot()).toBe(snapshot);
+
+    store.add('Other', () => null);
+    expect(store.getSnapshot()).not.toBe(snapshot);
+    expect(store.getSnapshot()).toHaveProperty('Other');
+  });
+});
+
+describe('Tests for OverridableProvider.', () => {
+  test('it should re-render when an override is added after mounting', () => {
+    const store = new OverriddenComponentRepository();
+    const mounted = mount(
+      <OverridableProvider store={store}>
+        <OverridableExampleComponent title="Default title" />
+      </OverridableProvider>
+    );
+    expect(mounted.find('h1').text()).toEqual('Default title');
+
+    act(() => {
+      store.add(CMP_ID, () => <h2>Added at runtime</h2>);
+    });
+    mounted.update();
+    expect(mounted.find('h1')).toHaveLength(0);
+    expect(mounted.find('h2').text()).toEqual('Added at runtime');
+
+    act(() => {
+      store.clear();
+    });
+    mounted.update();
+    expect(mounted.find('h1').text()).toEqual('Default title');
+  });
+});
+
+describe('Tests for store wrappers.', () => {
+  const withFooter = Original => {
+    const WithFooter = props => (
+      <>
+        <Original {...props} />
+        <footer>Added by a wrapper</footer>
+      </>
+    );
+    return WithFooter;
+  };
+
+  test('it should wrap the default cmp', () => {
+    const store = new OverriddenComponentRepository();
+    store.wrap(CMP_ID, withFooter);
+
+    const mounted = mount(
+      <OverridableProvider store={store}>
+        <OverridableExampleComponent title="Default title" />
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h1').text()).toEqual('Default title');
+    expect(mounted.find('footer').text()).toEqual('Added by a wrapper');
+  });
+
+  test('it should keep wrapping the cmp when an override is added later', () => {
+    const store = new OverriddenComponentRepository();
+    store.wrap(CMP_ID, withFooter);
+    store.add(CMP_ID, () => <h2>New title</h2>);
+
+    const mounted = mount(
+      <OverridableProvider store={store}>
+        <OverridableExampleComponent title="Default title" />
+      </OverridableProvider>
+    );
+
+    expect(mounted.find('h1')).toHaveLength(0);
+    expect(mounted.find('h2').text()).toEqual('New title');
+    expect(mounted.find('footer').text()).toEqual('Added by a wrapper');
+  });
+});
+
+describe('Tests for store wrappers of other entries.', () => {
+  const withFooter = Original => {
+    const WithFooter = props => (
+      <>
+        <Original {...props} />
+        <footer>Added by a wrapper</footer>
+      </>
+    );
+    return WithFooter;
+  };
+
+  const mountWithStore = store =>
+    mount(
+      <OverridableProvider store={store}>
+        <OverridableExampleComponent title="Default title" />
+      </OverridableProvider>
+    );
+
+  test('it should wrap the cmp with patched props', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, {title: 'Patched title'});
+    store.wrap(CMP_ID, withFooter);
+
+    const mounted = mountWithStore(store);
+    expect(mounted.find('h1').text()).toEqual('Patched title');
+    expect(mounted.find('footer').text()).toEqual('Added by a wrapper');
+  });
+
+  test('it should wrap the cmp with props from a configuration', () => {
+    const {store} = loadOverrides({[CMP_ID]: {props: {title: 'Configured title'}}});
+    store.wrap(CMP_ID, withFooter);
+
+    const mounted = mountWithStore(store);
+    expect(mounted.find('h1').text()).toEqual('Configured title');
+    expect(mounted.find('footer').text()).toEqual('Added by a wrapper');
+  });
+
+  test('it should wrap the cmp chosen by rules', () => {
+    const ChosenTitle = () => <h2>Chosen by a rule</h2>;
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, [{when: ({title}) => title === 'Default title', component: ChosenTitle}]);
+    store.wrap(CMP_ID, withFooter);
+
+    const mounted = mountWithStore(store);
+    expect(mounted.find('h1')).toHaveLength(0);
+    expect(mounted.find('h2').text()).toEqual('Chosen by a rule');
+    expect(mounted.find('footer').text()).toEqual('Added by a wrapper');
+  });
+});
+
+describe('Tests for store priorities.', () => {
+  const First = () => null;
+  const Second = () => null;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('it should use the cmp with the highest priority', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, First, {source: 'plugin-a', priority: 10});
+    store.add(CMP_ID, Second, {source: 'plugin-b'});
+
+    expect(store.get(CMP_ID)).toBe(First);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('it should use the latest cmp and warn for equal priorities', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, First, {source: 'plugin-a'});
+    store.add(CMP_ID, Second, {source: 'plugin-b'});
+
+    expect(store.get(CMP_ID)).toBe(Second);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn.mock.calls[0][0]).toContain("'plugin-a' and 'plugin-b'");
+  });
+
+  test('it should warn when unnamed sources replace each other', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, First);
+    store.add(CMP_ID, First);
+    expect(console.warn).not.toHaveBeenCalled();
+
+    store.add(CMP_ID, Second);
+    expect(store.get(CMP_ID)).toBe(Second);
+    expect(store.getContributors(CMP_ID)).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: 'ExampleComponent' is overridden with priority 0 by several " +
+        'unnamed sources; using the latter since it was registered last'
+    );
+  });
+
+  test('it should replace a previous registration from the same source', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, First, {source: 'plugin-a', priority: 5});
+    store.add(CMP_ID, Second, {source: 'plugin-a'});
+
+    expect(store.get(CMP_ID)).toBe(Second);
+    expect(store.getContributors(CMP_ID)).toHaveLength(1);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('it should remove the registrations of a source', () => {
+    const store = new OverriddenComponentRepository();
+    store.add(CMP_ID, First, {source: 'plugin-a', priority: 10});
+    store.wrap(CMP_ID, Original => Original, {source: 'plugin-a'});
+    store.add(CMP_ID, Second, {source: 'plugin-b'});
+
+    store.remove(CMP_ID, {source: 'plugin-a'});
+    expect(store.get(CMP_ID)).toBe(Second);
+    expect(store.getContributors(CMP_ID)).toHaveLength(1);
+
+    store.remove(CMP_ID, {source: 'plugin-b'});
+    expect(store.get(CMP_ID)).toBeUndefined();
+    expect(store.getAll()).toEqual({});
+  });
+
+  test('it should list all contributors for an id', () => {
+    const store = new OverriddenComponentRepository();
+    const wrapper = Original => Original;
+    store.add(CMP_ID, First, {source: 'plugin-a', priority: 10});
+    store.wrap(CMP_ID, wrapper, {source: 'plugin-c'});
+    store.add(CMP_ID, Second, {source: 'plugin-b'});
+
+    expect(store.getContributors(CMP_ID)).toEqual([
+      {id: CMP_ID, type: 'replace', component: First, source: 'plugin-a', priority: 10},
+      {id: CMP_ID, type: 'replace', component: Second, source: 'plugin-b', priority: 0},
+      {id: CMP_ID, type: 'wrap', wrapper, source: 'plugin-c', priority: 0},
+    ]);
+  });
+});
+
+describe('Tests for named stores', () => {
+  const First = () => <p>First</p>;
+  const Second = () => <p>Second</p>;
+
+  beforeEach(() => {
+    overrideStore.clear();
+  });
+
+  afterEach(() => {
+    getOverrideStore('widget-a').clear();
+    getOverrideStore('widget-b').clear();
+  });
+
+  test('it should return the same store for the same name', () => {
+    expect(getOverrideStore('widget-a')).toBe(getOverrideStore('widget-a'));
+    expect(getOverrideStore('widget-a')).not.toBe(getOverrideStore('widget-b'));
+    expect(getOverrideStore('widget-a').name).toBe('widget-a');
+    expect(getOverrideStore('default')).toBe(overrideStore);
+  });
+
+  test('it should keep the overrides of the stores of each provider apart', () => {
+    getOverrideStore('widget-a').add(CMP_ID, First);
+    getOverrideStore('widget-b').add(CMP_ID, Second);
+    const mounted = mount(
+      <div>
+        <OverridableProvider store="widget-a">
+          <OverridableExampleComponent title="Widget A" />
+        </OverridableProvider>
+        <OverridableProvider store="widget-b">
+          <OverridableExampleComponent title="Widget B" />
+        </OverridableProvider>
+        <OverridableProvider>
+          <OverridableExampleComponent title="Default" />
+        </OverridableProvider>
+      </div>
+    );
+    expect(mounted.find('p').map(p => p.text())).toEqual(['First', 'Second']);
+    expect(mounted.find('h1').text()).toBe('Default');
+
+    act(() => getOverrideStore('widget-b').add(CMP_ID, First, {priority: 1}));
+    mounted.update();
+    expect(mounted.find('p').map(p => p.text())).toEqual(['First', 'First']);
+    mounted.unmount();
+  });
+
+  test('it should mention the name of the store in warnings', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = getOverrideStore('widget-a');
+    store.add(CMP_ID, First, {source: 'plugin-a'});
+    store.add(CMP_ID, Second, {source: 'plugin-b'});
+
+    expect(console.warn.mock.calls[0][0]).toContain(`[widget-a] '${CMP_ID}' is overridden`);
+    console.warn.mockRestore();
+  });
+});
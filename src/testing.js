@@ -0,0 +1,216 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ReactDOM from 'react-dom';
+import {act} from 'react-dom/test-utils';
+import Overridable from './overridable';
+import {OverridableProvider} from './provider';
+import {getComponentName, overridableRegistry} from './registry';
+import {USE_DEFAULT} from './resolve';
+import {clearOverrideStores, OverriddenComponentRepository} from './store';
+
+// the containers rendered by `renderIntoDocument`, unmounted by `resetOverrides`
+const mountedContainers = new Set();
+
+/**
+ * Renders an element in a new container with `react-dom`, the default renderer of
+ * `renderWithOverrides`. Like `render` of React Testing Library, it takes a `wrapper`
+ * component rendered around the element, also when it is rendered again.
+ * @param ui the element to render
+ * @param options object with the `wrapper` component
+ * @returns an object with the `container`, a `rerender` function taking a new element
+ *  and an `unmount` function
+ */
+export function renderIntoDocument(ui, {wrapper: Wrapper = React.Fragment} = {}) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  mountedContainers.add(container);
+  const render = element => {
+    act(() => {
+      ReactDOM.render(<Wrapper>{element}</Wrapper>, container);
+    });
+  };
+  const unmount = () => {
+    act(() => {
+      ReactDOM.unmountComponentAtNode(container);
+    });
+    container.remove();
+    mountedContainers.delete(container);
+  };
+  try {
+    render(ui);
+  } catch (error) {
+    unmount();
+    throw error;
+  }
+  return {container, rerender: render, unmount};
+}
+
+/**
+ * Creates a component providing overridden components from a new store, without inheriting
+ * anything from `overrideStore`, so each test gets its own overrides. It can be used as the
+ * `wrapper` of React Testing Library or the `wrappingComponent` of enzyme.
+ * @param overrides the map `id: Component` of overridden components
+ * @param options the other props of the `OverridableProvider`, e.g. `env` or `catchErrors`
+ * @returns the component, with the `OverriddenComponentRepository` it uses as `store`
+ */
+export function createOverridesWrapper(overrides = {}, options = {}) {
+  const store = new OverriddenComponentRepository(overrides);
+  const OverridesWrapper = ({children}) => (
+    <OverridableProvider {...options} store={store} inherit={false}>
+      {children}
+    </OverridableProvider>
+  );
+  OverridesWrapper.propTypes = {
+    children: PropTypes.node,
+  };
+  OverridesWrapper.defaultProps = {
+    children: null,
+  };
+  OverridesWrapper.store = store;
+  return OverridesWrapper;
+}
+
+/**
+ * Renders an element with overridden components, which are kept apart from the ones of
+ * other tests. The registry of rendered ids is cleared first, so `expectOverridden` and
+ * `expectDefaultRendered` only know about what this element renders.
+ *
+ * Any renderer can be used, e.g. with React Testing Library:
+ * ```
+ * renderWithOverrides(<App />, {'App.title': BoldTitle}, {render});
+ * ```
+ * or with enzyme:
+ * ```
+ * renderWithOverrides(<App />, overrides, {
+ *   render: (ui, {wrapper}) => mount(ui, {wrappingComponent: wrapper}),
+ * });
+ * ```
+ * @param ui the element to render
+ * @param overrides the map `id: Component` of overridden components
+ * @param options object with the `render` function, receiving the element and an object
+ *  with the `wrapper` providing the overrides (defaults to `renderIntoDocument`), and the
+ *  other props of the `OverridableProvider`
+ * @returns an object with the `result` of the render function and the `store` containing
+ *  the overrides, to change them while the element is rendered
+ */
+export function renderWithOverrides(
+  ui,
+  overrides = {},
+  {render = renderIntoDocument, ...options} = {}
+) {
+  const wrapper = createOverridesWrapper(overrides, options);
+  overridableRegistry.clear();
+  const result = render(ui, {wrapper});
+  return {result, store: wrapper.store};
+}
+
+/**
+ * Unmounts everything rendered by `renderIntoDocument` and clears `overrideStore`, the other
+ * named repositories and the registry of rendered ids, e.g. in `afterEach`.
+ */
+export function resetOverrides() {
+  act(() => {
+    mountedContainers.forEach(container => {
+      ReactDOM.unmountComponentAtNode(container);
+      container.remove();
+    });
+  });
+  mountedContainers.clear();
+  clearOverrideStores();
+  overridableRegistry.clear();
+}
+
+// Returns the registry entry of an id which is currently rendered, or throws.
+function getRenderedEntry(id, expected) {
+  const entry = overridableRegistry.get(id);
+  if (!entry || !entry.mounted) {
+    const renderedIds = overridableRegistry
+      .getAll()
+      .filter(({mounted}) => mounted)
+      .map(({id: renderedId}) => renderedId);
+    throw new Error(
+      `Expected '${id}' to be ${expected}, but it is not rendered ` +
+        `(rendered ids: ${renderedIds.join(', ') || 'none'})`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Throws if an id is not rendered with an override.
+ * @param id the id of the overridable
+ * @param Component the override which should be used, if any
+ */
+export function expectOverridden(id, Component = null) {
+  const {overridden, override, defaultName} = getRenderedEntry(id, 'overridden');
+  if (!overridden) {
+    throw new Error(
+      `Expected '${id}' to be overridden, but its default ${defaultName} is rendered`
+    );
+  } else if (Component && override !== Component) {
+    throw new Error(
+      `Expected '${id}' to be overridden by ${getComponentName(Component)}, ` +
+        `but it is overridden by ${getComponentName(override)}`
+    );
+  }
+}
+
+/**
+ * Throws if an id is not rendered with its default component.
+ * @param id the id of the overridable
+ */
+export function expectDefaultRendered(id) {
+  const {overridden, override} = getRenderedEntry(id, 'rendered with its default');
+  if (overridden) {
+    throw new Error(
+      `Expected '${id}' to be rendered with its default, ` +
+        `but it is overridden by ${getComponentName(override)}`
+    );
+  }
+}
+
+/**
+ * Renders every overridable rendered so far on its own, once with its override and once
+ * with its default component, with the props it received last, to find the ones which
+ * crash. Nested overridables are rendered with their overrides in both cases.
+ * @param overrides the map `id: Component` of overridden components
+ * @param options object with the `entries` of the registry to render (defaults to all the
+ *  ids recorded in `overridableRegistry`)
+ * @returns a list of objects with the `type` of problem (`render-error`), the `id`, the
+ *  `variant` which crashed (`override` or `default`), the `error` and a `message`
+ */
+export function renderEveryOverridable(
+  overrides = {},
+  {entries = overridableRegistry.getAll()} = {}
+) {
+  // rendering the ids records them in the registry again, so we restore what it contained
+  const recordedEntries = {...overridableRegistry.entries};
+  try {
+    return entries
+      .filter(({defaultComponent}) => defaultComponent)
+      .flatMap(({id, defaultComponent, props}) => {
+        const Component = Overridable.component(id, defaultComponent);
+        const variants = {override: overrides, default: {...overrides, [id]: USE_DEFAULT}};
+        return Object.entries(variants).flatMap(([variant, variantOverrides]) => {
+          try {
+            renderIntoDocument(<Component {...props} />, {
+              wrapper: createOverridesWrapper(variantOverrides),
+            }).unmount();
+            return [];
+          } catch (error) {
+            return [
+              {
+                type: 'render-error',
+                id,
+                variant,
+                error,
+                message: `'${id}' failed to render with its ${variant}: ${error.message}`,
+              },
+            ];
+          }
+        });
+      });
+  } finally {
+    overridableRegistry.entries = recordedEntries;
+  }
+}
@@ -0,0 +1,204 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {act} from 'react-dom/test-utils';
+import {
+  createOverridesWrapper,
+  expectDefaultRendered,
+  expectOverridden,
+  renderEveryOverridable,
+  renderIntoDocument,
+  renderWithOverrides,
+  resetOverrides,
+} from './testing';
+import Overridable, {overrideStore, overridableRegistry, OverridableProvider} from '.';
+
+const Title = ({title}) => (
+  <Overridable id="Title.container" title={title}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const OverridableTitle = Overridable.component('Title', Title);
+
+const App = () => (
+  <main>
+    <OverridableTitle title="Hello" />
+    <Overridable id="Footer">
+      <footer>Footer</footer>
+    </Overridable>
+  </main>
+);
+
+const BoldTitle = ({title}) => <strong>{title}</strong>;
+
+BoldTitle.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const BrokenTitle = ({title}) => <strong>{title.missing.length}</strong>;
+
+BrokenTitle.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+afterEach(() => {
+  resetOverrides();
+});
+
+describe('Tests for renderWithOverrides', () => {
+  test('it should render an element with overrides', () => {
+    const {result} = renderWithOverrides(<App />, {'Title.container': BoldTitle});
+    expect(result.container.innerHTML).toBe(
+      '<main><strong>Hello</strong><footer>Footer</footer></main>'
+    );
+    expectOverridden('Title.container', BoldTitle);
+    expectDefaultRendered('Title');
+    expectDefaultRendered('Footer');
+  });
+
+  test('it should ignore the overrides of overrideStore', () => {
+    overrideStore.add('Title.container', BoldTitle);
+    const {result} = renderWithOverrides(<App />);
+    expect(result.container.querySelector('h1').textContent).toBe('Hello');
+  });
+
+  test('it should apply overrides added to its store', () => {
+    const {result, store} = renderWithOverrides(<App />);
+    act(() => store.add('Footer', () => <footer>New footer</footer>));
+    expect(result.container.textContent).toBe('HelloNew footer');
+    expectOverridden('Footer');
+  });
+
+  test('it should keep the overrides when rendering again', () => {
+    const {result} = renderWithOverrides(<OverridableTitle title="Hello" />, {
+      'Title.container': BoldTitle,
+    });
+    result.rerender(<OverridableTitle title="Bye" />);
+    expect(result.container.innerHTML).toBe('<strong>Bye</strong>');
+  });
+
+  test('it should pass the options to the provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const {result} = renderWithOverrides(
+      <App />,
+      {'Title.container': BrokenTitle},
+      {catchErrors: true, onOverrideError: () => {}}
+    );
+    expect(result.container.querySelector('h1').textContent).toBe('Hello');
+    console.error.mockRestore();
+  });
+
+  test('it should render with another renderer', () => {
+    const {result} = renderWithOverrides(
+      <App />,
+      {'Title.container': BoldTitle},
+      {render: (ui, {wrapper}) => mount(ui, {wrappingComponent: wrapper})}
+    );
+    expect(result.find('strong').text()).toBe('Hello');
+    expectOverridden('Title.container');
+    result.unmount();
+  });
+});
+
+describe('Tests for the assertions', () => {
+  test('it should fail if an id is not rendered', () => {
+    renderWithOverrides(<App />);
+    expect(() => expectOverridden('Header')).toThrow(
+      "Expected 'Header' to be overridden, but it is not rendered " +
+        '(rendered ids: Footer, Title, Title.container)'
+    );
+  });
+
+  test('it should fail if an id is rendered with its default', () => {
+    renderWithOverrides(<App />);
+    expect(() => expectOverridden('Title.container')).toThrow(
+      "Expected 'Title.container' to be overridden, but its default h1 is rendered"
+    );
+  });
+
+  test('it should fail if an id is rendered with another override', () => {
+    renderWithOverrides(<App />, {'Title.container': BoldTitle});
+    expect(() => expectOverridden('Title.container', BrokenTitle)).toThrow(
+      "Expected 'Title.container' to be overridden by BrokenTitle, " +
+        'but it is overridden by BoldTitle'
+    );
+    expect(() => expectDefaultRendered('Title.container')).toThrow(
+      "Expected 'Title.container' to be rendered with its default, " +
+        'but it is overridden by BoldTitle'
+    );
+  });
+
+  test('it should only know about the ids rendered since the last render', () => {
+    renderWithOverrides(<App />);
+    renderWithOverrides(<OverridableTitle title="Hello" />);
+    expect(() => expectDefaultRendered('Footer')).toThrow('it is not rendered');
+  });
+});
+
+describe('Tests for createOverridesWrapper', () => {
+  test('it should provide the overrides to another renderer', () => {
+    const wrapper = createOverridesWrapper({'Title.container': BoldTitle});
+    const mounted = mount(<App />, {wrappingComponent: wrapper});
+    expect(mounted.find('strong').text()).toBe('Hello');
+    expect(wrapper.store.get('Title.container')).toBe(BoldTitle);
+    mounted.unmount();
+  });
+
+  test('it should not inherit the overrides of a parent provider', () => {
+    const Wrapper = createOverridesWrapper();
+    const {container} = renderIntoDocument(
+      <OverridableProvider value={{'Title.container': BoldTitle}}>
+        <Wrapper>
+          <App />
+        </Wrapper>
+      </OverridableProvider>
+    );
+    expect(container.querySelector('h1').textContent).toBe('Hello');
+  });
+});
+
+describe('Tests for renderEveryOverridable', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('it should find no problems if everything renders', () => {
+    renderWithOverrides(<App />);
+    expect(renderEveryOverridable({'Title.container': BoldTitle})).toEqual([]);
+  });
+
+  test('it should find the overrides which crash', () => {
+    renderWithOverrides(<App />);
+    const problems = renderEveryOverridable({'Title.container': BrokenTitle});
+    expect(problems.map(({id, variant}) => [id, variant])).toEqual([
+      // the override of the nested id is also used when rendering the default of Title
+      ['Title', 'override'],
+      ['Title', 'default'],
+      ['Title.container', 'override'],
+    ]);
+    expect(problems[2].message).toMatch(
+      "'Title.container' failed to render with its override: Cannot read"
+    );
+  });
+
+  test('it should render the overridables of host elements with any entry', () => {
+    renderWithOverrides(<App />);
+    expect(renderEveryOverridable({'Title.container': {className: 'title'}})).toEqual([]);
+  });
+
+  test('it should keep what the registry recorded', () => {
+    renderWithOverrides(<App />, {'Title.container': BoldTitle});
+    renderEveryOverridable({});
+    expectOverridden('Title.container', BoldTitle);
+    expect(overridableRegistry.get('Title').mounted).toBe(1);
+  });
+});
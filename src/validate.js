@@ -0,0 +1,162 @@
+import {getContract} from './contracts';
+import {countLoadedCopies, formatCopiesMessage} from './copies';
+import {getComponentName, overridableRegistry} from './registry';
+import {matchesId} from './resolve';
+
+// The argument validators of prop-types expect when called by `checkPropTypes`, to tell them
+// apart from calls made by mistake. It is not exported, so we keep our own copy.
+const propTypesSecret = 'SECRET_DO_NOT_PASS_THIS_OR_YOU_WILL_BE_FIRED';
+
+// Runs the prop types of a component and returns the error messages instead of logging them.
+export function checkProps(propTypes, props, componentName) {
+  return Object.entries(propTypes)
+    .map(([propName, validator]) => {
+      try {
+        return validator(props, propName, componentName, 'prop', propName, propTypesSecret);
+      } catch (error) {
+        return error;
+      }
+    })
+    .filter(error => error instanceof Error)
+    .map(error => error.message);
+}
+
+const deprecatedIdProblem = (alias, {id}) => ({
+  type: 'deprecated-id',
+  id: alias,
+  message: `'${alias}' is deprecated, override '${id}' instead`,
+});
+
+const incompatibleVersionProblem = (override, {id, version}) => ({
+  type: 'incompatible-version',
+  id,
+  message:
+    `the override ${getComponentName(override)} of '${id}' was written for version ` +
+    `${override.contractVersion} of its contract, but the current version is ${version}`,
+});
+
+// Checks whether an override declares the version of the contract it was written for, as
+// its `contractVersion`, and whether it is the current one.
+const hasIncompatibleVersion = (override, contract) =>
+  !!override &&
+  override.contractVersion !== undefined &&
+  override.contractVersion !== contract.version;
+
+/**
+ * Checks how an overridable with a contract (see `declareContract`) is rendered, and returns
+ * the problems found:
+ * - `deprecated-id`: it is overridden with one of its deprecated aliases
+ * - `incompatible-version`: its override was written for another version of its contract
+ * - `incompatible-contract`: the props it passes to its overrides do not match its contract
+ *
+ * Like `validateOverrides`, this only returns problems in development.
+ * @param contract the contract of the overridable
+ * @param options object with the `alias` used to override it, if any, its `override`, if
+ *  it is overridden, and the `props` passed to the override
+ * @returns a list of objects with the `type` of problem, the `id` and a `message`
+ */
+export function checkContract(contract, {alias = null, override = null, props}) {
+  if (process.env.NODE_ENV === 'production') {
+    return [];
+  }
+  return [
+    ...(alias ? [deprecatedIdProblem(alias, contract)] : []),
+    ...(hasIncompatibleVersion(override, contract)
+      ? [incompatibleVersionProblem(override, contract)]
+      : []),
+    ...(contract.props
+      ? checkProps(contract.props, props, `contract of '${contract.id}'`).map(error => ({
+          type: 'incompatible-contract',
+          id: contract.id,
+          message: `'${contract.id}' passes props which do not match its contract: ${error}`,
+        }))
+      : []),
+  ];
+}
+
+/**
+ * Checks a map of overridden components against the overridables rendered so far, and
+ * returns the problems found:
+ * - `unknown-id`: an id (or pattern) of the map matches no id ever rendered, e.g. because
+ *   of a typo
+ * - `deprecated-id`: an id of the map is a deprecated alias of another id
+ * - `incompatible-version`: an override was written for another version of the contract of
+ *   its id
+ * - `incompatible-props`: the props an overridable passed to its override do not satisfy
+ *   the `propTypes` declared by the override
+ * - `duplicate-copies`: several copies of the library are loaded, e.g. because several
+ *   bundles include their own, and overrides registered with one of them are ignored by the
+ *   overridables of the others
+ *
+ * Since prop types are not checked in production, this only returns problems in development.
+ * @param overriddenComponents the map `id: Component` of overridden components
+ * @param options object with the `registry` of rendered ids (defaults to `overridableRegistry`)
+ * @returns a list of objects with the `type` of problem, the `id` (`null` if the problem is
+ *  not about an id) and a `message`
+ */
+export function validateOverrides(overriddenComponents, {registry = overridableRegistry} = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    return [];
+  }
+
+  const entries = registry.getAll();
+  const contracts = Object.keys(overriddenComponents).map(id => [id, getContract(id)]);
+  const deprecatedIds = contracts
+    .filter(([id, contract]) => contract && contract.id !== id)
+    .map(([id, contract]) => deprecatedIdProblem(id, contract));
+  const incompatibleVersions = contracts
+    .filter(
+      ([id, contract]) => contract && hasIncompatibleVersion(overriddenComponents[id], contract)
+    )
+    .map(([id, contract]) => incompatibleVersionProblem(overriddenComponents[id], contract));
+  const unknownIds = Object.keys(overriddenComponents)
+    .filter(id => !entries.some(entry => matchesId(id, entry.id)))
+    .filter(id => !deprecatedIds.some(problem => problem.id === id))
+    .map(id => ({
+      type: 'unknown-id',
+      id,
+      message: `'${id}' is overridden but no overridable with this id has been rendered`,
+    }));
+  const incompatibleProps = entries
+    .filter(entry => entry.overridden && entry.override.propTypes)
+    .flatMap(({id, override, props}) =>
+      checkProps(override.propTypes, props, getComponentName(override)).map(error => ({
+        type: 'incompatible-props',
+        id,
+        message: `the override of '${id}' is incompatible with the props it receives: ${error}`,
+      }))
+    );
+  const copies = countLoadedCopies();
+  const duplicateCopies =
+    copies > 1
+      ? [
+          {
+            type: 'duplicate-copies',
+            id: null,
+            message: formatCopiesMessage(copies),
+          },
+        ]
+      : [];
+  return [
+    ...unknownIds,
+    ...deprecatedIds,
+    ...incompatibleVersions,
+    ...incompatibleProps,
+    ...duplicateCopies,
+  ];
+}
+
+const loggedProblems = new Set();
+
+/**
+ * Logs the problems returned by `validateOverrides` as warnings, only once for each problem.
+ * @param problems the problems to log
+ */
+export function warnAboutProblems(problems) {
+  problems
+    .filter(({message}) => !loggedProblems.has(message))
+    .forEach(({message}) => {
+      loggedProblems.add(message);
+      console.warn(`react-overridable: ${message}`);
+    });
+}
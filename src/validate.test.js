@@ -0,0 +1,132 @@
+import {mount} from 'enzyme';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {act} from 'react-dom/test-utils';
+import Overridable, {
+  OverridableProvider,
+  OverriddenComponentRepository,
+  USE_DEFAULT,
+  overridableRegistry,
+  validateOverrides,
+} from '.'; // export from index.js to test it
+
+const Title = ({title}) => (
+  <Overridable id="Title.container" title={title}>
+    <h1>{title}</h1>
+  </Overridable>
+);
+
+Title.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+const NewContainer = ({heading}) => <h2>{heading}</h2>;
+
+NewContainer.propTypes = {
+  heading: PropTypes.string.isRequired,
+};
+
+const CompatibleContainer = ({title}) => <h2>{title}</h2>;
+
+CompatibleContainer.propTypes = {
+  title: PropTypes.string.isRequired,
+};
+
+describe('Tests for the validation of overrides', () => {
+  beforeEach(() => {
+    overridableRegistry.clear();
+    // React itself reports the prop types which do not match
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('it should report ids which match no rendered overridable', () => {
+    const overriddenCmps = {'Title.contaner': CompatibleContainer, '*.container': USE_DEFAULT};
+    mount(<Title title="My title" />);
+
+    expect(validateOverrides(overriddenCmps)).toEqual([
+      {
+        type: 'unknown-id',
+        id: 'Title.contaner',
+        message: "'Title.contaner' is overridden but no overridable with this id has been rendered",
+      },
+    ]);
+  });
+
+  test('it should report overrides whose prop types do not match the props they receive', () => {
+    const overriddenCmps = {'Title.container': NewContainer};
+    mount(
+      <OverridableProvider value={overriddenCmps}>
+        <Title title="My title" />
+      </OverridableProvider>
+    );
+
+    expect(validateOverrides(overriddenCmps)).toEqual([
+      expect.objectContaining({
+        type: 'incompatible-props',
+        id: 'Title.container',
+        message: expect.stringContaining('`heading` is marked as required in `NewContainer`'),
+      }),
+    ]);
+    // prop-types only logs each failure once, but it is reported every time
+    console.error.mockClear();
+    expect(validateOverrides(overriddenCmps)).toHaveLength(1);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('it should validate the overrides of a store', () => {
+    const store = new OverriddenComponentRepository({'Title.container': CompatibleContainer});
+    mount(
+      <OverridableProvider store={store}>
+        <Title title="My title" />
+      </OverridableProvider>
+    );
+
+    expect(store.validate()).toEqual([]);
+  });
+
+  test('it should warn about the problems when validating in the provider', () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mount(
+      <OverridableProvider value={{'Title.header': CompatibleContainer}} validate>
+        <Title title="My title" />
+      </OverridableProvider>
+    );
+    act(() => {
+      jest.runAllTimers();
+    });
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      "react-overridable: 'Title.header' is overridden but no overridable with this id has been rendered"
+    );
+    console.warn.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('it should report several copies of the library', () => {
+    expect(validateOverrides({})).toEqual([]);
+    // load another copy of the library, as a separate bundle would
+    jest.spyOn(console, 'warn');
+    jest.resetModules();
+    require('./copies');
+    // only reported when validating, since evaluating the module again is not always a problem
+    expect(console.warn).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+
+    expect(validateOverrides({})).toEqual([
+      {
+        type: 'duplicate-copies',
+        id: null,
+        message:
+          '2 copies of react-overridable are loaded, so the overrides registered with one ' +
+          'of them are ignored by the others; make sure your bundles share a single copy',
+      },
+    ]);
+    globalThis[Symbol.for('react-overridable.copies')].pop();
+  });
+});